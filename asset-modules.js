@@ -0,0 +1,224 @@
+/**
+ * Asset Modules
+ * Converts non-JavaScript workspace files into ES modules both runners can compile
+ */
+
+import { getMimeType } from "./file-loader.js";
+
+/**
+ * Short, stable hash of a string (used to scope CSS module class names)
+ */
+function hashString(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36).slice(0, 5);
+}
+
+/**
+ * Rename the class selectors of a CSS module to file-scoped names
+ * @returns {Object} { css, classes } where classes maps original to scoped names
+ */
+function scopeCssModule(css, id) {
+  const suffix = hashString(id);
+  const classes = {};
+
+  // Only selectors (text before "{") are rewritten, never declarations or at-rule preludes
+  const scoped = css
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/([^{};]+)\{/g, (match, selector) => {
+      if (selector.trim().startsWith("@")) return match;
+
+      const renamed = selector.replace(/\.(-?[_a-zA-Z][\w-]*)/g, (m, name) => {
+        classes[name] = `${name}_${suffix}`;
+        return `.${classes[name]}`;
+      });
+      return `${renamed}{`;
+    });
+
+  return { css: scoped, classes };
+}
+
+/**
+ * Convert an SVG attribute name to its React prop name
+ */
+function toReactProp(name) {
+  if (name === "class") return "className";
+  if (name === "for") return "htmlFor";
+  if (name.startsWith("data-") || name.startsWith("aria-")) return name;
+  return name.replace(/[:-]([a-z])/g, (m, letter) => letter.toUpperCase());
+}
+
+/**
+ * Convert an inline style attribute ("fill: red; stroke-width: 2") to a React style object
+ */
+function parseStyleAttribute(style) {
+  const result = {};
+  for (const declaration of style.split(";")) {
+    const index = declaration.indexOf(":");
+    if (index === -1) continue;
+    const property = declaration.slice(0, index).trim();
+    if (!property) continue;
+    const key = property.startsWith("--")
+      ? property
+      : property.replace(/-([a-z])/g, (m, letter) => letter.toUpperCase());
+    result[key] = declaration.slice(index + 1).trim();
+  }
+  return result;
+}
+
+/**
+ * Split an SVG document into its root <svg> props and inner markup
+ */
+function parseSvg(svg, id) {
+  const match = svg.match(/<svg\b([^>]*)>([\s\S]*)<\/svg>/i);
+  if (!match) {
+    throw new Error(`${id}: not a valid SVG document (no <svg> root element)`);
+  }
+
+  const props = {};
+  const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let attribute;
+  while ((attribute = attributePattern.exec(match[1])) !== null) {
+    const value = attribute[2] ?? attribute[3];
+    props[toReactProp(attribute[1])] =
+      attribute[1] === "style" ? parseStyleAttribute(value) : value;
+  }
+
+  return { props, markup: match[2].trim() };
+}
+
+/**
+ * Check whether a file path is a CSS module (*.module.css)
+ */
+export function isCssModule(path) {
+  return path.endsWith(".module.css");
+}
+
+/**
+ * Create an ES module that injects a stylesheet into the document <head>
+ * The <style> element is keyed by module ID, so re-running the module
+ * (after the stylesheet is edited) replaces it instead of adding another.
+ * CSS modules (*.module.css) export their scoped class names as default.
+ */
+export function createStyleModule(css, id) {
+  const { css: styles, classes } = isCssModule(id)
+    ? scopeCssModule(css, id)
+    : { css, classes: null };
+
+  return `const id = ${JSON.stringify(id)};
+const css = ${JSON.stringify(styles)};
+let style = Array.from(document.head.querySelectorAll("style[data-module-id]"))
+  .find((el) => el.dataset.moduleId === id);
+if (!style) {
+  style = document.createElement("style");
+  style.dataset.moduleId = id;
+  document.head.appendChild(style);
+}
+style.textContent = css;
+export default ${classes ? JSON.stringify(classes) : "css"};
+`;
+}
+
+/**
+ * Create an ES module for a JSON file
+ * The parsed value is the default export; top-level keys that are valid
+ * identifier names are also named exports (import { version } from "./package.json").
+ * Each is exported from a local binding of its own, so keys that are reserved
+ * words (class, new) or clash with the module's locals (data) work too.
+ */
+export function createJsonModule(json, id) {
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`${id}: invalid JSON (${error.message})`);
+  }
+
+  const lines = [`const data = ${JSON.stringify(value)};`, "export default data;"];
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const keys = Object.keys(value).filter(
+      (key) => /^[A-Za-z_$][\w$]*$/.test(key) && key !== "default"
+    );
+    keys.forEach((key, index) => {
+      lines.push(`const key${index} = data[${JSON.stringify(key)}];`);
+    });
+    if (keys.length > 0) {
+      lines.push(`export { ${keys.map((key, index) => `key${index} as ${key}`).join(", ")} };`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Create an ES module whose default export is a string (?raw imports, text files)
+ */
+export function createTextModule(text) {
+  return `export default ${JSON.stringify(text)};\n`;
+}
+
+/**
+ * Create an ES module whose default export is a URL for the asset
+ * Binary assets are already stored as data URLs
+ */
+export function createUrlModule(url) {
+  return `export default ${JSON.stringify(url)};\n`;
+}
+
+/**
+ * Create an ES module for an SVG file
+ * The default export is a data URL (for <img src>), and ReactComponent renders
+ * the SVG inline, forwarding props and ref to the root <svg>. With ?react the
+ * component is the default export instead.
+ */
+export function createSvgModule(svg, id, query = "") {
+  const url = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  const { props, markup } = parseSvg(svg, id);
+
+  return `import { createElement, forwardRef } from "react";
+const url = ${JSON.stringify(url)};
+const svgProps = ${JSON.stringify(props)};
+const markup = ${JSON.stringify(markup)};
+export const ReactComponent = forwardRef(function SvgComponent(props, ref) {
+  return createElement("svg", {
+    ...svgProps,
+    ...props,
+    style: props.style ? { ...svgProps.style, ...props.style } : svgProps.style,
+    ref,
+    dangerouslySetInnerHTML: { __html: markup }
+  });
+});
+export default ${query === "react" ? "ReactComponent" : "url"};
+`;
+}
+
+/**
+ * Create the ES module for a non-JavaScript file returned by loadModule()
+ * Returns null for JavaScript/TypeScript files, which compile as they are
+ */
+export function createAssetModule(file) {
+  if (file.query === "url") {
+    return createUrlModule(
+      file.contents.startsWith("data:")
+        ? file.contents
+        : `data:${getMimeType(file.resolvedPath)};charset=utf-8,${encodeURIComponent(file.contents)}`
+    );
+  }
+
+  switch (file.loader) {
+    case "css":
+      return createStyleModule(file.contents, file.id);
+    case "json":
+      return createJsonModule(file.contents, file.id);
+    case "svg":
+      return createSvgModule(file.contents, file.id, file.query);
+    case "image":
+    case "file":
+      return createUrlModule(file.contents);
+    case "text":
+      return createTextModule(file.contents);
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,312 @@
+/**
+ * Code Editor
+ * CodeMirror 6 editor for workspace files: TSX/JS/CSS/JSON modes, multiple
+ * cursors (Ctrl/Cmd-click, Ctrl/Cmd-D, Alt-drag), diagnostics (see
+ * diagnostics.js) as lint markers, and completion of workspace import paths.
+ * Each open file keeps its own document state (undo history, selection and
+ * scroll position) while another file is shown.
+ */
+
+import { basicSetup } from "codemirror";
+import { EditorView, keymap } from "@codemirror/view";
+import { EditorState, Compartment, Annotation, Transaction } from "@codemirror/state";
+import { indentWithTab } from "@codemirror/commands";
+import { javascript } from "@codemirror/lang-javascript";
+import { css } from "@codemirror/lang-css";
+import { json } from "@codemirror/lang-json";
+import { setDiagnostics, forEachDiagnostic, lintGutter } from "@codemirror/lint";
+import { oneDark } from "@codemirror/theme-one-dark";
+
+// The import specifier being typed: its opening quote and what follows
+const IMPORT_SPECIFIER_BEFORE = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)["'][^"'\s]*/;
+
+const SEVERITY_RANKS = { warning: 1, error: 2 };
+
+// Marks changes made elsewhere (see update), which are not reported back
+const externalChange = Annotation.define();
+
+// The IDE's own backgrounds, over One Dark's
+const darkTheme = [
+  oneDark,
+  EditorView.theme(
+    {
+      "&": { backgroundColor: "#09090b" },
+      ".cm-gutters": { backgroundColor: "#09090b", borderRight: "1px solid #27272a" }
+    },
+    { dark: true }
+  )
+];
+const lightTheme = EditorView.theme({
+  ".cm-gutters": { backgroundColor: "#f9fafb", borderRight: "1px solid #e5e7eb" }
+});
+
+/**
+ * Get the editor theme matching the IDE's dark or light theme
+ */
+export function getEditorTheme(dark) {
+  return dark ? darkTheme : lightTheme;
+}
+
+/**
+ * Get the language support for a file, by extension
+ */
+function getLanguage(path) {
+  if (path.endsWith(".css")) return css();
+  if (path.endsWith(".json")) return json();
+  if (/\.tsx?$/.test(path)) return javascript({ jsx: path.endsWith("x"), typescript: true });
+  if (/\.jsx?$/.test(path)) return javascript({ jsx: true });
+  return [];
+}
+
+/**
+ * Convert diagnostics to CodeMirror's, as document offsets
+ * Positions are clamped to the document, since they may be from an older version.
+ */
+function toEditorDiagnostics(doc, diagnostics) {
+  const toOffset = (line, column) => {
+    const docLine = doc.line(Math.min(Math.max(line, 1), doc.lines));
+    return Math.min(docLine.from + column - 1, docLine.to);
+  };
+
+  return diagnostics
+    .filter((diagnostic) => diagnostic.line)
+    .map((diagnostic) => {
+      const from = toOffset(diagnostic.line, diagnostic.column);
+      const to = diagnostic.endLine
+        ? toOffset(diagnostic.endLine, diagnostic.endColumn)
+        : from;
+      return {
+        from,
+        to: Math.max(from, to),
+        severity: diagnostic.severity,
+        message: diagnostic.message,
+        source: diagnostic.code || diagnostic.source
+      };
+    });
+}
+
+/**
+ * Create the code editor
+ * @param {HTMLElement} parent - Element the editor fills
+ * @param {Object} callbacks
+ * @param {Function} callbacks.change - Called with the path and text after every edit
+ * @param {Function} callbacks.cursorDiagnostic - Called with the diagnostic
+ *   under the caret ({ severity, message, source }), or null, when it changes
+ * @param {Function} callbacks.completeImport - Called with the specifier typed
+ *   so far; returns [{ specifier, path }] (see getImportCompletions in file-loader.js)
+ * @returns {Object} Editor API
+ */
+export function createCodeEditor(parent, callbacks) {
+  const theme = new Compartment();
+  const language = new Compartment();
+  let isDark = true;
+  let cursorDiagnostic = null;
+  // The file shown, and the saved state of every other open file
+  let currentPath = null;
+  const documents = new Map();
+
+  // Complete workspace paths inside the quotes of an import
+  const completeImportPath = (context) => {
+    const match = context.matchBefore(IMPORT_SPECIFIER_BEFORE);
+    if (!match) return null;
+
+    const from = match.from + match.text.search(/["']/) + 1;
+    const typed = context.state.sliceDoc(from, context.pos);
+    return {
+      from,
+      options: callbacks.completeImport(typed).map(({ specifier, path }) => ({
+        label: specifier,
+        detail: path,
+        type: "file"
+      }))
+    };
+  };
+
+  // Report the most severe diagnostic under the caret
+  const reportCursorDiagnostic = (state) => {
+    const head = state.selection.main.head;
+    let found = null;
+    forEachDiagnostic(state, (diagnostic, from, to) => {
+      if (head < from || head > to) return;
+      if (!found || SEVERITY_RANKS[diagnostic.severity] > SEVERITY_RANKS[found.severity]) {
+        found = diagnostic;
+      }
+    });
+
+    if (found !== cursorDiagnostic) {
+      cursorDiagnostic = found;
+      callbacks.cursorDiagnostic(found);
+    }
+  };
+
+  const getLanguageSupport = (path) => [
+    getLanguage(path),
+    /\.[jt]sx?$/.test(path)
+      ? EditorState.languageData.of(() => [{ autocomplete: completeImportPath }])
+      : []
+  ];
+
+  const createState = (path, contents) =>
+    EditorState.create({
+      doc: contents,
+      extensions: [
+        basicSetup,
+        keymap.of([indentWithTab]),
+        lintGutter(),
+        theme.of(getEditorTheme(isDark)),
+        language.of(getLanguageSupport(path)),
+        EditorView.updateListener.of((update) => {
+          const external = update.transactions.some((tr) => tr.annotation(externalChange));
+          if (update.docChanged && !external) {
+            callbacks.change(currentPath, update.state.doc.toString());
+          }
+          reportCursorDiagnostic(update.state);
+        })
+      ]
+    });
+
+  // Replace the text of a state, keeping the common start and end (and so
+  // the selection, where possible)
+  const replaceText = (state, contents) => {
+    const text = state.doc.toString();
+    if (text === contents) return null;
+
+    let from = 0;
+    while (from < text.length && from < contents.length && text[from] === contents[from]) {
+      from++;
+    }
+    let end = 0;
+    while (
+      end < text.length - from &&
+      end < contents.length - from &&
+      text[text.length - 1 - end] === contents[contents.length - 1 - end]
+    ) {
+      end++;
+    }
+
+    return {
+      changes: { from, to: text.length - end, insert: contents.slice(from, contents.length - end) },
+      annotations: [externalChange.of(true), Transaction.addToHistory.of(false)]
+    };
+  };
+
+  const view = new EditorView({ parent, state: createState("", "") });
+
+  return {
+    /**
+     * Show a file, restoring its undo history, selection and scroll position
+     * when it was open before
+     * @param {string} path
+     * @param {string} contents - Current contents (applied if they changed meanwhile)
+     */
+    open(path, contents) {
+      if (path === currentPath) {
+        this.update(path, contents);
+        return;
+      }
+
+      if (currentPath !== null) {
+        documents.set(currentPath, { state: view.state, scroll: view.scrollSnapshot() });
+      }
+
+      const saved = documents.get(path);
+      documents.delete(path);
+      currentPath = path;
+
+      if (saved) {
+        view.setState(saved.state);
+        view.dispatch({
+          effects: [saved.scroll, theme.reconfigure(getEditorTheme(isDark))]
+        });
+        this.update(path, contents);
+      } else {
+        view.setState(createState(path, contents));
+      }
+      reportCursorDiagnostic(view.state);
+    },
+
+    /**
+     * Replace the contents of an open file after it changed elsewhere (e.g. it
+     * was reverted, or edited in another editor) without adding an undo step
+     */
+    update(path, contents) {
+      if (path === currentPath) {
+        const transaction = replaceText(view.state, contents);
+        if (transaction) view.dispatch(transaction);
+        return;
+      }
+
+      const saved = documents.get(path);
+      const transaction = saved && replaceText(saved.state, contents);
+      if (transaction) {
+        saved.state = saved.state.update(transaction).state;
+      }
+    },
+
+    /**
+     * Keep an open file's state when it was renamed or moved
+     */
+    rename(oldPath, newPath) {
+      const effects = language.reconfigure(getLanguageSupport(newPath));
+      if (oldPath === currentPath) {
+        currentPath = newPath;
+        view.dispatch({ effects });
+        return;
+      }
+
+      const saved = documents.get(oldPath);
+      if (!saved) return;
+      documents.delete(oldPath);
+      documents.set(newPath, { ...saved, state: saved.state.update({ effects }).state });
+    },
+
+    /**
+     * Forget the state of a closed file
+     */
+    close(path) {
+      documents.delete(path);
+      if (path === currentPath) {
+        currentPath = null;
+      }
+    },
+
+    /**
+     * Get the text in the editor
+     */
+    getValue() {
+      return view.state.doc.toString();
+    },
+
+    /**
+     * Mark the open file's diagnostics (see diagnostics.js)
+     */
+    setDiagnostics(diagnostics) {
+      view.dispatch(setDiagnostics(view.state, toEditorDiagnostics(view.state.doc, diagnostics)));
+    },
+
+    /**
+     * Move the caret to a line and column (both one-based) and scroll to it
+     */
+    reveal(line, column = 1) {
+      const docLine = view.state.doc.line(Math.min(Math.max(line, 1), view.state.doc.lines));
+      const offset = Math.min(docLine.from + Math.max(column - 1, 0), docLine.to);
+      view.dispatch({
+        selection: { anchor: offset },
+        effects: EditorView.scrollIntoView(offset, { y: "center" })
+      });
+      view.focus();
+    },
+
+    focus() {
+      view.focus();
+    },
+
+    /**
+     * Switch between the dark and light editor themes
+     */
+    setTheme(dark) {
+      isDark = dark;
+      view.dispatch({ effects: theme.reconfigure(getEditorTheme(dark)) });
+    }
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * Compiler Comparison
+ * Builds the workspace with every registered runner and shows the previews
+ * side by side, with each build's time and output size, a diff of the
+ * generated code against the first runner's, and the runtime errors each
+ * preview reports. Runners that fail, or whose previews report different
+ * errors than the others, are highlighted.
+ */
+
+import { createRunner, getOutputFiles, RUNNER_TYPES } from "./wasm-runner.js";
+import { mountPreview, isPreviewMessage } from "./preview-runtime.js";
+import { diffLines } from "./text-diff.js";
+import { escapeHtml } from "./html.js";
+
+// Unchanged lines shown around each change, and the most diff lines rendered
+const DIFF_CONTEXT = 3;
+const MAX_DIFF_LINES = 2000;
+
+/**
+ * Get the code a runner generated: esbuild's bundle, or SWC's modules one
+ * after another
+ */
+function getGeneratedCode(result) {
+  return getOutputFiles(result)
+    .map(({ name, code }) => `// ${name}\n${code}`)
+    .join("\n\n");
+}
+
+/**
+ * Format a byte count
+ */
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Render line diff runs (see diffLines), keeping only the context of changes
+ */
+function renderDiffLines(runs) {
+  const rows = [];
+  const addLines = (type, lines) => {
+    const prefix = { equal: " ", delete: "-", insert: "+" }[type];
+    for (const line of lines) {
+      rows.push(`<div class="diff-line diff-${type}">${prefix} ${escapeHtml(line)}</div>`);
+    }
+  };
+
+  runs.forEach(({ type, lines }, index) => {
+    if (type !== "equal") {
+      addLines(type, lines);
+      return;
+    }
+
+    const head = index > 0 ? lines.slice(0, DIFF_CONTEXT) : [];
+    const tail = index < runs.length - 1 ? lines.slice(-DIFF_CONTEXT) : [];
+    if (lines.length <= head.length + tail.length) {
+      addLines(type, lines);
+      return;
+    }
+    addLines(type, head);
+    rows.push(
+      `<div class="diff-line diff-skipped">⋯ ${lines.length - head.length - tail.length} unchanged lines</div>`
+    );
+    addLines(type, tail);
+  });
+
+  if (rows.length > MAX_DIFF_LINES) {
+    return `${rows.slice(0, MAX_DIFF_LINES).join("")}
+      <div class="diff-line diff-skipped">⋯ ${rows.length - MAX_DIFF_LINES} more lines</div>`;
+  }
+  return rows.join("");
+}
+
+/**
+ * Render the diff of one runner's generated code against another's
+ */
+function renderDiff(base, other) {
+  const title = `${escapeHtml(base.type)} → ${escapeHtml(other.type)}`;
+  const runs = diffLines(base.code, other.code);
+  if (!runs) {
+    return `<div class="comparison-diff-header">${title}: too different to diff</div>`;
+  }
+
+  const count = (type) =>
+    runs.filter((run) => run.type === type).reduce((sum, run) => sum + run.lines.length, 0);
+  const deleted = count("delete");
+  const inserted = count("insert");
+  const summary = deleted + inserted === 0 ? "identical" : `+${inserted} −${deleted} lines`;
+
+  return `
+    <div class="comparison-diff-header">${title}: ${summary}</div>
+    <div class="comparison-diff-lines">${renderDiffLines(runs)}</div>
+  `;
+}
+
+/**
+ * Create the comparison view
+ * @param {HTMLElement} element - Container the view renders into
+ * @param {Object} options
+ * @param {Object} options.fileSystem - Workspace the runners compile
+ * @returns {Object} View API
+ */
+export function createComparisonView(element, options) {
+  // Runner type → the runner, once initialized; kept between runs
+  const runners = new Map();
+  // State of the current run, one entry per runner type
+  let entries = [];
+  // Bumped by every run, so only the latest one renders
+  let runId = 0;
+
+  const getRunner = (type) => {
+    if (!runners.has(type)) {
+      const initialized = createRunner(type, { fileSystem: options.fileSystem }).then(
+        async (runner) => {
+          try {
+            await runner.initialize();
+            return runner;
+          } catch (error) {
+            runner.dispose();
+            throw error;
+          }
+        }
+      );
+      // Retry a runner that failed to start on the next run
+      initialized.catch(() => runners.delete(type));
+      runners.set(type, initialized);
+    }
+    return runners.get(type);
+  };
+
+  const getCard = (entry) => element.querySelector(`.comparison-runner[data-runner="${entry.type}"]`);
+
+  const renderErrors = (entry) => {
+    const messages = entry.error ? [entry.error.message] : entry.runtimeErrors;
+    getCard(entry).querySelector(".comparison-errors").innerHTML = messages
+      .map((message) => `<div class="comparison-error">${escapeHtml(message)}</div>`)
+      .join("");
+  };
+
+  // Highlight the runners whose runtime errors differ from the most common
+  // ones (all of them, when no errors are the most common)
+  const highlightDifferences = () => {
+    const previews = entries.filter((entry) => entry.code !== null);
+    const keys = previews.map((entry) => JSON.stringify([...entry.runtimeErrors].sort()));
+    const counts = new Map();
+    keys.forEach((key) => counts.set(key, (counts.get(key) || 0) + 1));
+
+    const most = Math.max(0, ...counts.values());
+    const common = [...counts].filter(([, count]) => count === most);
+    const expected = common.length === 1 ? common[0][0] : null;
+
+    previews.forEach((entry, index) => {
+      getCard(entry).classList.toggle("differs", counts.size > 1 && keys[index] !== expected);
+    });
+  };
+
+  const renderDiffs = () => {
+    const built = entries.filter((entry) => entry.code !== null);
+    const diff = element.querySelector(".comparison-diff");
+    diff.innerHTML =
+      built.length < 2
+        ? `<div class="comparison-diff-header">Nothing to compare: fewer than two runners built the workspace</div>`
+        : built.slice(1).map((entry) => renderDiff(built[0], entry)).join("");
+  };
+
+  return {
+    /**
+     * Build the workspace with every runner, one after another (so the times
+     * are comparable), and show the results
+     * @param {Object} compileOptions - As for WasmRunner.buildPreview, with themeColors
+     */
+    async run(compileOptions) {
+      const run = ++runId;
+      entries = RUNNER_TYPES.map((type) => ({ type, code: null, error: null, runtimeErrors: [] }));
+
+      element.innerHTML = `
+        <div class="comparison-runners">
+          ${entries
+            .map(
+              ({ type }) => `
+                <div class="comparison-runner" data-runner="${escapeHtml(type)}">
+                  <div class="comparison-runner-header">
+                    <span class="comparison-runner-name">${escapeHtml(type)}</span>
+                    <span class="comparison-runner-stats">Compiling…</span>
+                  </div>
+                  <div class="comparison-frame"></div>
+                  <div class="comparison-errors"></div>
+                </div>
+              `
+            )
+            .join("")}
+        </div>
+        <div class="comparison-diff"></div>
+      `;
+
+      for (const entry of entries) {
+        const card = getCard(entry);
+        const stats = card.querySelector(".comparison-runner-stats");
+
+        try {
+          const runner = await getRunner(entry.type);
+          if (run !== runId) return;
+
+          const started = performance.now();
+          const result = await runner.buildPreview({ ...compileOptions, hot: false });
+          const time = Math.round(performance.now() - started);
+          if (run !== runId) return;
+
+          entry.code = getGeneratedCode(result);
+          stats.textContent = `${time} ms · ${formatSize(new TextEncoder().encode(entry.code).length)}`;
+          mountPreview(result.html, card.querySelector(".comparison-frame"));
+        } catch (error) {
+          if (run !== runId) return;
+          console.error(`[compare] ${entry.type} failed:`, error);
+          entry.error = error;
+          stats.textContent = "✗ Failed";
+          card.classList.add("failed");
+          renderErrors(entry);
+        }
+      }
+
+      renderDiffs();
+      highlightDifferences();
+      console.log(`[compare] Compared ${entries.map(({ type }) => type).join(", ")}`);
+    },
+
+    /**
+     * Record runtime errors reported by the comparison previews
+     * @returns {boolean} Whether the message came from one of them
+     */
+    handleMessage(event) {
+      const entry = entries.find(
+        (item) => item.code !== null && isPreviewMessage(event, getCard(item))
+      );
+      if (!entry) return false;
+
+      if (event.data.type === "error") {
+        const message = `${event.data.kind || "error"}: ${event.data.message}`;
+        if (!entry.runtimeErrors.includes(message)) {
+          entry.runtimeErrors.push(message);
+          renderErrors(entry);
+          highlightDifferences();
+        }
+      }
+      return true;
+    },
+
+    /**
+     * Stop the runners and clear the view
+     */
+    dispose() {
+      runId++;
+      for (const initialized of runners.values()) {
+        initialized.then((runner) => runner.dispose(), () => {});
+      }
+      runners.clear();
+      entries = [];
+      element.innerHTML = "";
+    }
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * Compiler Worker
+ * Hosts a WASM runner off the main thread, for WorkerRunner (see worker-rpc.js).
+ * The workspace is mirrored from the page via writeFile and restore messages.
+ */
+
+import { createRunner } from "./wasm-runner.js";
+import { createVirtualFileSystem } from "./file-loader.js";
+import { exposeMethods, exposeFileSystem } from "./worker-rpc.js";
+
+const fileSystem = createVirtualFileSystem();
+let runner = null;
+
+exposeMethods(
+  {
+    async initialize(type, options) {
+      runner = await createRunner(type, { ...options, fileSystem, worker: false });
+      await runner.initialize();
+      return runner.getCapabilities();
+    },
+
+    compile(options) {
+      return runner.compile(options);
+    },
+
+    buildPreview(options) {
+      return runner.buildPreview(options);
+    },
+
+    ...exposeFileSystem(fileSystem)
+  },
+  "worker"
+);
@@ -0,0 +1,294 @@
+/**
+ * Console Panel
+ * Renders console output captured in the preview iframe (see preview-runtime.js)
+ * and evaluates expressions in the preview
+ */
+
+import { escapeHtml } from "./html.js";
+
+const MAX_CONSOLE_ENTRIES = 500;
+const MAX_PREVIEW_ENTRIES = 5;
+
+/**
+ * One-line preview of a serialized value (nested objects are abbreviated)
+ */
+function renderPreview(value, nested = false) {
+  switch (value.t) {
+    case "object":
+    case "array": {
+      if (nested || !value.entries) {
+        const label =
+          value.t === "array" || value.name !== "Object"
+            ? `${value.name}${value.t === "array" ? "" : " {…}"}`
+            : "{…}";
+        return `<span class="console-name">${escapeHtml(label)}</span>`;
+      }
+      const items = value.entries
+        .slice(0, MAX_PREVIEW_ENTRIES)
+        .map(([key, item]) =>
+          value.t === "array"
+            ? renderPreview(item, true)
+            : `<span class="console-key">${escapeHtml(key)}</span>: ${renderPreview(item, true)}`
+        );
+      if (value.entries.length > MAX_PREVIEW_ENTRIES || value.more) items.push("…");
+      const [open, close] = value.t === "array" ? ["[", "]"] : ["{", "}"];
+      const name = value.name === "Object" ? "" : `${escapeHtml(value.name)} `;
+      return `<span class="console-name">${name}</span>${open}${items.join(", ")}${close}`;
+    }
+    case "react":
+      return `<span class="console-react">&lt;${escapeHtml(value.v)} /&gt;</span>`;
+    default:
+      return renderPrimitive(value, true);
+  }
+}
+
+/**
+ * Render a value that has no children
+ * Top-level strings print without quotes, like the browser console
+ */
+function renderPrimitive(value, quoted) {
+  switch (value.t) {
+    case "string":
+      return quoted
+        ? `<span class="console-string">"${escapeHtml(value.v)}"</span>`
+        : escapeHtml(value.v);
+    case "number":
+    case "bigint":
+      return `<span class="console-number">${escapeHtml(value.v)}</span>`;
+    case "boolean":
+      return `<span class="console-keyword">${value.v === "true" ? "true" : "false"}</span>`;
+    case "undefined":
+    case "null":
+      return `<span class="console-keyword">${value.t}</span>`;
+    case "symbol":
+    case "date":
+    case "regexp":
+      return `<span class="console-special">${escapeHtml(value.v)}</span>`;
+    case "function":
+      return `<span class="console-special">ƒ ${escapeHtml(value.v)}()</span>`;
+    case "circular":
+      return `<span class="console-special">[Circular]</span>`;
+    case "dom":
+      return `<span class="console-react">${escapeHtml(value.v)}</span>`;
+    case "error":
+      return `<span class="console-error-value">${escapeHtml(value.name)}: ${escapeHtml(value.v)}</span>`;
+    default:
+      return escapeHtml(value.v ?? "");
+  }
+}
+
+/**
+ * Render a serialized value; objects, arrays, React elements and errors expand
+ */
+function renderValue(value, topLevel = false) {
+  if (value.t === "error" && value.stack) {
+    return `<details class="console-tree"><summary>${renderPrimitive(value)}</summary><pre class="console-stack">${escapeHtml(value.stack)}</pre></details>`;
+  }
+  const hasChildren = ["object", "array", "react"].includes(value.t);
+  if (!hasChildren) {
+    return renderPrimitive(value, !topLevel);
+  }
+  if (!value.entries) {
+    return renderPreview(value);
+  }
+
+  const children = value.entries
+    .map(
+      ([key, item]) =>
+        `<div class="console-child"><span class="console-key">${escapeHtml(key)}</span>: ${renderValue(item)}</div>`
+    )
+    .join("");
+  const more = value.more ? `<div class="console-child">… ${escapeHtml(value.more)} more</div>` : "";
+  return `<details class="console-tree"><summary>${renderPreview(value)}</summary>${children}${more}</details>`;
+}
+
+/**
+ * Render console.log arguments, applying %s/%d/%i/%f/%o/%O/%c substitutions
+ */
+function renderArgs(args) {
+  const parts = [];
+  let rest = args;
+
+  const [format] = args;
+  if (format && format.t === "string" && format.v.includes("%")) {
+    let index = 1;
+    let html = "";
+    let last = 0;
+    const pattern = /%[sdifoOc%]/g;
+    let match;
+    while ((match = pattern.exec(format.v)) !== null) {
+      html += escapeHtml(format.v.slice(last, match.index));
+      last = pattern.lastIndex;
+
+      const token = match[0];
+      if (token === "%%") {
+        html += "%";
+      } else if (index >= args.length) {
+        html += token;
+      } else {
+        const arg = args[index++];
+        if (token === "%c") {
+          // CSS styling is not supported; drop the style argument
+        } else if (token === "%d" || token === "%i") {
+          html += `<span class="console-number">${escapeHtml(String(parseInt(arg.v, 10)))}</span>`;
+        } else if (token === "%f") {
+          html += `<span class="console-number">${escapeHtml(String(parseFloat(arg.v)))}</span>`;
+        } else if (token === "%s" && arg.t === "string") {
+          html += escapeHtml(arg.v);
+        } else {
+          html += renderValue(arg);
+        }
+      }
+    }
+    parts.push(html + escapeHtml(format.v.slice(last)));
+    rest = args.slice(index);
+  }
+
+  for (const arg of rest) {
+    parts.push(renderValue(arg, true));
+  }
+  return parts.join(" ");
+}
+
+/**
+ * Render console.table data as an HTML table (falls back to a normal log)
+ */
+function renderTable(data) {
+  if (!data || !["object", "array"].includes(data.t) || !data.entries) {
+    return renderArgs(data ? [data] : []);
+  }
+
+  const columns = [];
+  let hasValues = false;
+  for (const [, row] of data.entries) {
+    if ((row.t === "object" || row.t === "array") && row.entries) {
+      for (const [key] of row.entries) {
+        if (!columns.includes(key)) columns.push(key);
+      }
+    } else {
+      hasValues = true;
+    }
+  }
+
+  const header = ["(index)", ...columns, ...(hasValues ? ["Value"] : [])]
+    .map((name) => `<th>${escapeHtml(name)}</th>`)
+    .join("");
+  const rows = data.entries
+    .map(([index, row]) => {
+      const isRecord = (row.t === "object" || row.t === "array") && row.entries;
+      const cells = columns.map((column) => {
+        const cell = isRecord && row.entries.find(([key]) => key === column);
+        return `<td>${cell ? renderPreview(cell[1], true) : ""}</td>`;
+      });
+      if (hasValues) cells.push(`<td>${isRecord ? "" : renderPreview(row, true)}</td>`);
+      return `<tr><td>${escapeHtml(index)}</td>${cells.join("")}</tr>`;
+    })
+    .join("");
+
+  return `<table class="console-table"><thead><tr>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Create the console panel
+ * @param {Object} elements - { output, form, input, filters, clearButton }
+ * @param {Object} options - { evaluate(expression, id) → boolean } sends an
+ *   expression to the preview; returns false when there is no preview
+ * @returns {Object} { handleMessage(data) → boolean, clear() }
+ */
+export function createConsolePanel(elements, options = {}) {
+  const { output, form, input, filters, clearButton } = elements;
+  const { evaluate = () => false } = options;
+  const history = [];
+  let historyIndex = 0;
+  let nextEvalId = 1;
+
+  const append = (level, html) => {
+    const atBottom =
+      output.scrollHeight - output.scrollTop - output.clientHeight < 8;
+
+    const entry = document.createElement("div");
+    entry.className = `console-entry level-${level}`;
+    entry.innerHTML = html;
+    output.appendChild(entry);
+
+    while (output.childElementCount > MAX_CONSOLE_ENTRIES) {
+      output.firstElementChild.remove();
+    }
+    if (atBottom) {
+      output.scrollTop = output.scrollHeight;
+    }
+  };
+
+  const clear = () => {
+    output.innerHTML = "";
+  };
+
+  // Level filter: one of all, log, info, warn, error
+  filters.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-level]");
+    if (!button) return;
+    filters.querySelectorAll("button").forEach((el) => {
+      el.classList.toggle("active", el === button);
+    });
+    output.dataset.filter = button.dataset.level;
+  });
+
+  clearButton.addEventListener("click", clear);
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const expression = input.value.trim();
+    if (!expression) return;
+
+    history.push(expression);
+    historyIndex = history.length;
+    input.value = "";
+
+    append("input", `<span class="console-prompt">›</span> ${escapeHtml(expression)}`);
+    if (!evaluate(expression, nextEvalId++)) {
+      append("error", "No preview is running");
+    }
+  });
+
+  // Up/Down walk through previously evaluated expressions
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowUp" && historyIndex > 0) {
+      e.preventDefault();
+      input.value = history[--historyIndex];
+    } else if (e.key === "ArrowDown" && historyIndex < history.length) {
+      e.preventDefault();
+      historyIndex++;
+      input.value = history[historyIndex] ?? "";
+    }
+  });
+
+  return {
+    /**
+     * Handle a message from the preview
+     * @returns {boolean} Whether the message was for the console
+     */
+    handleMessage(data) {
+      switch (data.type) {
+        case "console":
+          append(
+            data.level,
+            data.method === "table" ? renderTable(data.args[0]) : renderArgs(data.args)
+          );
+          return true;
+        case "console-clear":
+          clear();
+          return true;
+        case "eval-result":
+          append(
+            data.error ? "error" : "result",
+            `<span class="console-prompt">‹</span> ${renderValue(data.value)}`
+          );
+          return true;
+        default:
+          return false;
+      }
+    },
+
+    clear
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Diagnostics
+ * The problem format shared by the runners, the type checker and the problems
+ * panel:
+ *
+ *   {
+ *     source,      // what reported it, e.g. 'esbuild', 'swc' or 'typescript'
+ *     severity,    // 'error' or 'warning'
+ *     message,
+ *     code,        // e.g. 'TS2322', or null
+ *     file,        // workspace path, or null for problems not tied to a file
+ *     line, column, endLine, endColumn   // one-based; the end is exclusive
+ *   }
+ */
+
+/**
+ * Create a diagnostic, with null for the fields not given
+ * @param {Object} fields - See the format above; source, severity and message are required
+ */
+export function createDiagnostic(fields) {
+  return {
+    code: null,
+    file: null,
+    line: null,
+    column: null,
+    endLine: null,
+    endColumn: null,
+    ...fields
+  };
+}
+
+/**
+ * Create the error a failed compile throws, with its diagnostics attached
+ * The message lists the errors, one per line.
+ * @param {Array<Object>} diagnostics - At least one error, plus any warnings
+ * @returns {Error} Error with a diagnostics property
+ */
+export function createCompileError(diagnostics) {
+  const message = diagnostics
+    .filter(({ severity }) => severity === "error")
+    .map(formatDiagnostic)
+    .join("\n");
+  return Object.assign(new Error(message), { diagnostics });
+}
+
+/**
+ * Get the diagnostics of a failed compile
+ * Errors thrown without diagnostics (e.g. a package.json that is not valid
+ * JSON) become one error not tied to a file.
+ * @param {Error} error - Error thrown by compile()
+ * @param {string} source - Reported source for errors without diagnostics
+ */
+export function getErrorDiagnostics(error, source) {
+  return (
+    error.diagnostics || [createDiagnostic({ source, severity: "error", message: error.message })]
+  );
+}
+
+/**
+ * Order diagnostics by file, then position (file-less ones first)
+ */
+export function compareDiagnostics(a, b) {
+  return (
+    (a.file || "").localeCompare(b.file || "") ||
+    (a.line || 0) - (b.line || 0) ||
+    (a.column || 0) - (b.column || 0)
+  );
+}
+
+/**
+ * Count errors and warnings
+ * @returns {Object} { errors, warnings }
+ */
+export function countDiagnostics(diagnostics) {
+  let errors = 0;
+  for (const diagnostic of diagnostics) {
+    if (diagnostic.severity === "error") errors++;
+  }
+  return { errors, warnings: diagnostics.length - errors };
+}
+
+/**
+ * Format the position of a diagnostic, e.g. "3:7", "3" without a column, or
+ * "" when it has no line (a problem in a file that could not be located)
+ */
+export function formatPosition({ line, column }) {
+  if (line == null) return "";
+  return column == null ? `${line}` : `${line}:${column}`;
+}
+
+/**
+ * Format a diagnostic on one line, e.g. "/src/entry.tsx:3:7: error TS2322: ..."
+ */
+export function formatDiagnostic(diagnostic) {
+  const { file, severity, code, message } = diagnostic;
+  const position = formatPosition(diagnostic);
+  const location = file ? `${file}${position ? `:${position}` : ""}: ` : "";
+  return `${location}${severity}${code ? ` ${code}` : ""}: ${message}`;
+}
@@ -0,0 +1,276 @@
+/**
+ * Editor Pane
+ * A tab bar over a code editor (see code-editor.js). Each tab keeps its own
+ * undo history and scroll position; binary assets get a preview instead of
+ * the editor. The playground shows two panes when the editor is split.
+ */
+
+import { createCodeEditor } from "./code-editor.js";
+import { isBinaryPath, getMimeType } from "./file-loader.js";
+import { escapeHtml } from "./html.js";
+
+/**
+ * Render a binary asset (stored as a data URL)
+ */
+function renderAssetPreview(path, dataUrl) {
+  const mimeType = getMimeType(path);
+  const name = path.split("/").pop();
+  // Base64 encodes 3 bytes in 4 characters
+  const base64Length = dataUrl.length - dataUrl.indexOf(",") - 1;
+  const size = Math.round((base64Length * 3) / 4 / 102.4) / 10;
+
+  let media = "";
+  if (mimeType.startsWith("image/")) {
+    media = `<img src="${escapeHtml(dataUrl)}" alt="${escapeHtml(name)}">`;
+  } else if (mimeType.startsWith("audio/")) {
+    media = `<audio src="${escapeHtml(dataUrl)}" controls></audio>`;
+  } else if (mimeType.startsWith("video/")) {
+    media = `<video src="${escapeHtml(dataUrl)}" controls></video>`;
+  }
+
+  return `
+    ${media}
+    <div>${escapeHtml(mimeType)} · ${size} KB</div>
+    <a href="${escapeHtml(dataUrl)}" download="${escapeHtml(name)}">Download</a>
+  `;
+}
+
+/**
+ * Create an editor pane
+ * @param {HTMLElement} element - Holds .editor-tabs, .editor-host,
+ *   .asset-preview and .editor-empty
+ * @param {Object} callbacks
+ * @param {Function} callbacks.read - Returns a file's contents, or undefined
+ *   if it is not in the workspace
+ * @param {Function} callbacks.change - Called with the path and text after every edit
+ * @param {Function} callbacks.activate - Called with the pane when it gets
+ *   focus or shows another file
+ * @param {Function} callbacks.getTabStatus - Returns { status, unsaved } for a
+ *   path; status is "modified", "added" or null
+ * @param {Function} callbacks.cursorDiagnostic - See createCodeEditor
+ * @param {Function} callbacks.completeImport - Called with the specifier typed
+ *   so far and the importing file (see getImportCompletions in file-loader.js)
+ * @returns {Object} Pane API
+ */
+export function createEditorPane(element, callbacks) {
+  const tabList = element.querySelector(".editor-tabs");
+  const editorHost = element.querySelector(".editor-host");
+  const assetPreview = element.querySelector(".asset-preview");
+  const emptyMessage = element.querySelector(".editor-empty");
+  // Open files, in tab order
+  let tabs = [];
+  let active = null;
+
+  const editor = createCodeEditor(editorHost, {
+    change: (path, text) => callbacks.change(path, text),
+    cursorDiagnostic: callbacks.cursorDiagnostic,
+    completeImport: (typed) => callbacks.completeImport(typed, active)
+  });
+
+  const isAsset = (path, contents) => isBinaryPath(path) && contents.startsWith("data:");
+
+  const renderTabs = () => {
+    tabList.innerHTML = tabs
+      .map((path) => {
+        const name = path.split("/").pop();
+        const { status, unsaved } = callbacks.getTabStatus(path);
+        const classes = [
+          "editor-tab",
+          path === active ? "active" : "",
+          status || "",
+          unsaved ? "unsaved" : ""
+        ].join(" ");
+
+        return `
+          <div class="${classes}" data-path="${escapeHtml(path)}" title="${escapeHtml(path)}"
+            role="tab" aria-selected="${path === active}">
+            <span class="editor-tab-name">${escapeHtml(name)}</span>
+            <button class="editor-tab-close" title="Close" aria-label="Close ${escapeHtml(name)}">×</button>
+          </div>
+        `;
+      })
+      .join("");
+  };
+
+  // Show a file (or nothing) in the editor or the asset preview
+  const show = (path) => {
+    active = path;
+    const contents = path === null ? undefined : callbacks.read(path);
+    const asset = contents !== undefined && isAsset(path, contents);
+
+    editorHost.hidden = contents === undefined || asset;
+    assetPreview.hidden = !asset;
+    emptyMessage.hidden = contents !== undefined;
+    assetPreview.innerHTML = asset ? renderAssetPreview(path, contents) : "";
+    if (contents !== undefined && !asset) {
+      editor.open(path, contents);
+    }
+
+    renderTabs();
+    callbacks.activate(pane);
+  };
+
+  tabList.addEventListener("click", (event) => {
+    const tab = event.target.closest(".editor-tab");
+    if (!tab) return;
+    if (event.target.closest(".editor-tab-close")) {
+      pane.close(tab.dataset.path);
+    } else {
+      pane.open(tab.dataset.path);
+    }
+  });
+
+  // Middle click closes a tab
+  tabList.addEventListener("auxclick", (event) => {
+    const tab = event.target.closest(".editor-tab");
+    if (tab && event.button === 1) {
+      event.preventDefault();
+      pane.close(tab.dataset.path);
+    }
+  });
+
+  element.addEventListener("focusin", () => {
+    callbacks.activate(pane);
+  });
+
+  const pane = {
+    /**
+     * Show a file, in a new tab after the active one unless it is open already
+     */
+    open(path) {
+      if (callbacks.read(path) === undefined) {
+        console.warn(`[editor] ${path} not found in workspace`);
+        return;
+      }
+
+      if (!tabs.includes(path)) {
+        tabs.splice(tabs.indexOf(active) + 1, 0, path);
+      }
+      if (path !== active) {
+        show(path);
+      }
+      if (!editorHost.hidden) {
+        editor.focus();
+      }
+    },
+
+    /**
+     * Close a tab, showing its neighbour if it was active
+     */
+    close(path) {
+      const index = tabs.indexOf(path);
+      if (index === -1) return;
+
+      tabs.splice(index, 1);
+      editor.close(path);
+      if (path === active) {
+        show(tabs.length > 0 ? tabs[Math.min(index, tabs.length - 1)] : null);
+      } else {
+        renderTabs();
+      }
+    },
+
+    /**
+     * Close every tab
+     */
+    closeAll() {
+      tabs.forEach((path) => editor.close(path));
+      tabs = [];
+      show(null);
+    },
+
+    /**
+     * Get the file shown, or null
+     */
+    getActive() {
+      return active;
+    },
+
+    /**
+     * Get the open files, in tab order
+     */
+    getTabs() {
+      return [...tabs];
+    },
+
+    /**
+     * Re-read open files after the workspace changed, closing the ones it no
+     * longer has
+     * @param {string|null} path - A changed file or folder, or null for all
+     */
+    sync(path = null) {
+      const affected = tabs.filter(
+        (tab) => path === null || tab === path || tab.startsWith(`${path}/`)
+      );
+
+      for (const tab of affected) {
+        const contents = callbacks.read(tab);
+        if (contents === undefined) {
+          this.close(tab);
+        } else if (tab === active && !assetPreview.hidden) {
+          assetPreview.innerHTML = renderAssetPreview(tab, contents);
+        } else if (!isAsset(tab, contents)) {
+          editor.update(tab, contents);
+        }
+      }
+    },
+
+    /**
+     * Follow a renamed or moved file or folder
+     */
+    rename(oldPath, newPath) {
+      const move = (path) =>
+        path === oldPath || path.startsWith(`${oldPath}/`)
+          ? `${newPath}${path.slice(oldPath.length)}`
+          : path;
+
+      tabs = tabs.map((path) => {
+        const moved = move(path);
+        if (moved !== path) editor.rename(path, moved);
+        return moved;
+      });
+
+      const wasActive = active;
+      active = active === null ? null : move(active);
+      renderTabs();
+      if (active !== wasActive) {
+        callbacks.activate(pane);
+      }
+    },
+
+    /**
+     * Re-render the tab markers (see callbacks.getTabStatus)
+     */
+    renderTabs,
+
+    /**
+     * Mark the active file's diagnostics (see diagnostics.js)
+     */
+    setDiagnostics(diagnostics) {
+      if (!editorHost.hidden) {
+        editor.setDiagnostics(diagnostics);
+      }
+    },
+
+    /**
+     * Move the caret in the active file (see createCodeEditor)
+     */
+    reveal(line, column) {
+      if (!editorHost.hidden) {
+        editor.reveal(line, column);
+      }
+    },
+
+    focus() {
+      if (!editorHost.hidden) {
+        editor.focus();
+      }
+    },
+
+    setTheme(dark) {
+      editor.setTheme(dark);
+    }
+  };
+
+  return pane;
+}
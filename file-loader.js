@@ -4,6 +4,150 @@
  */
 
 const EXTENSION_PRIORITY = ['.tsx', '.ts', '.jsx', '.js'];
+const TEXT_EXTENSIONS = ['.txt', '.md', '.html', '.csv', '.xml', '.glsl'];
+const BINARY_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.pdf': 'application/pdf'
+};
+const KNOWN_EXTENSIONS = [
+  ...EXTENSION_PRIORITY,
+  '.css', '.json', '.svg',
+  ...TEXT_EXTENSIONS,
+  ...Object.keys(BINARY_MIME_TYPES)
+];
+const ASSET_QUERIES = ['raw', 'url', 'react'];
+const MANIFEST_NAME = '__manifest.json';
+
+// The app's base URL: the server serves the workspace's baseUrl folder under it
+const env = import.meta.env || {};
+const SERVER_BASE = env.BASE_URL || '/';
+
+/**
+ * Get the lowercase extension of a file path ('' when there is none)
+ */
+function getExtension(filePath) {
+  const name = filePath.substring(filePath.lastIndexOf('/') + 1);
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot).toLowerCase() : '';
+}
+
+/**
+ * Split an import specifier into its path and asset query (?raw, ?url, ?react)
+ */
+export function splitQuery(specifier) {
+  const index = specifier.indexOf('?');
+  if (index === -1) {
+    return { path: specifier, query: '' };
+  }
+  return { path: specifier.slice(0, index), query: specifier.slice(index + 1) };
+}
+
+/**
+ * Whether a file is binary (stored in the workspace as a data URL)
+ */
+export function isBinaryPath(filePath) {
+  return getExtension(filePath) in BINARY_MIME_TYPES;
+}
+
+/**
+ * Get the MIME type for an asset file
+ */
+export function getMimeType(filePath) {
+  const ext = getExtension(filePath);
+  if (ext === '.svg') return 'image/svg+xml';
+  if (ext === '.css') return 'text/css';
+  if (ext === '.json') return 'application/json';
+  return BINARY_MIME_TYPES[ext] || 'text/plain';
+}
+
+/**
+ * Encode bytes as base64
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ */
+export function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Pipe bytes through a compression or decompression stream
+ */
+export async function pipeBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Encode bytes as a base64 data URL
+ */
+export function bytesToDataUrl(bytes, mimeType) {
+  return `data:${mimeType};base64,${bytesToBase64(bytes)}`;
+}
+
+/**
+ * Decode a base64 data URL back to bytes
+ */
+export function dataUrlToBytes(dataUrl) {
+  return base64ToBytes(dataUrl.slice(dataUrl.indexOf(',') + 1));
+}
+
+/**
+ * Whether a binary asset's contents are a well-formed base64 data URL
+ * (data:<mime>;base64,<data>), as bytesToDataUrl writes them
+ */
+export function isAssetDataUrl(contents) {
+  return (
+    typeof contents === 'string' &&
+    /^data:[\w.+-]+\/[\w.+-]+;base64,[A-Za-z0-9+/]*={0,2}$/.test(contents)
+  );
+}
+
+/**
+ * Get the URL the server serves a workspace path at (e.g. /src/entry.tsx
+ * under the app's base URL)
+ */
+function toServerUrl(path) {
+  return `${SERVER_BASE}${path.slice(1)}`;
+}
+
+/**
+ * Whether a path is a valid workspace file or folder path: inside baseUrl,
+ * without empty, '.' or '..' segments, and without the characters "'<>\
+ * (paths end up in the explorer's markup and selectors)
+ */
+export function isWorkspacePath(path, baseUrl = '/src') {
+  if (typeof path !== 'string' || !path.startsWith(`${baseUrl}/`)) {
+    return false;
+  }
+  return path
+    .slice(baseUrl.length + 1)
+    .split('/')
+    .every(part => part !== '' && part !== '.' && part !== '..' && !/["'<>\\]/.test(part));
+}
 
 /**
  * Resolve a module path to its actual file path
@@ -17,6 +161,308 @@ export function resolveModulePath(importPath, baseUrl = '/src') {
   return `${baseUrl}${normalizedPath}`;
 }
 
+/**
+ * Get the candidate file paths for a module path, in resolution order
+ */
+function getCandidatePaths(modulePath, baseUrl = '/src') {
+  const resolvedBase = resolveModulePath(modulePath, baseUrl);
+  const hasExtension = KNOWN_EXTENSIONS.includes(getExtension(modulePath));
+
+  if (hasExtension) {
+    return [resolvedBase];
+  }
+  return EXTENSION_PRIORITY.map(ext => `${resolvedBase}${ext}`);
+}
+
+/**
+ * Read a source file from the in-memory workspace, if present
+ * Returns null when the workspace has no file for the module path, and
+ * throws when the file was deleted from the workspace (no server fallback)
+ */
+export function readWorkspaceFile(modulePath, baseUrl = '/src', fileSystem = null) {
+  if (!fileSystem) return null;
+
+  const candidates = getCandidatePaths(modulePath, baseUrl);
+  for (const candidate of candidates) {
+    if (fileSystem.has(candidate)) {
+      return {
+        contents: fileSystem.readFile(candidate),
+        loader: getLoader(candidate),
+        resolvedPath: candidate
+      };
+    }
+  }
+
+  if (fileSystem.isDeleted && candidates.some(c => fileSystem.isDeleted(c))) {
+    throw new Error(`Could not resolve module: ${modulePath} (removed from workspace)`);
+  }
+
+  return null;
+}
+
+/**
+ * Resolve an import specifier against the importing file
+ * Returns an @/ module path for workspace imports, or null for packages.
+ * Throws for relative imports that climb out of baseUrl.
+ */
+export function resolveImportSpecifier(specifier, importerPath, baseUrl = '/src') {
+  if (specifier.startsWith('@/')) {
+    return specifier;
+  }
+  // Module IDs (resolved paths) are accepted as specifiers too
+  if (specifier.startsWith(`${baseUrl}/`)) {
+    return `@/${specifier.slice(baseUrl.length + 1)}`;
+  }
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+    return null;
+  }
+
+  const importerDir = importerPath.substring(0, importerPath.lastIndexOf('/'));
+  const parts = [];
+  for (const part of `${importerDir}/${specifier}`.split('/')) {
+    if (part === '..') {
+      parts.pop();
+    } else if (part !== '.' && part !== '') {
+      parts.push(part);
+    }
+  }
+
+  const absolutePath = `/${parts.join('/')}`;
+  if (!absolutePath.startsWith(`${baseUrl}/`)) {
+    throw new Error(`Could not resolve "${specifier}": it points outside ${baseUrl}/`);
+  }
+  return `@/${absolutePath.slice(baseUrl.length + 1)}`;
+}
+
+/**
+ * Resolve and load a workspace module by specifier
+ *
+ * The returned `id` is the module's canonical ID: its resolved file path
+ * (e.g. /src/lib/utils.js). Every specifier that reaches the same file
+ * (@/lib/utils, ../lib/utils, ./utils.js) yields the same ID, so runners use
+ * it for caching, module maps and error messages.
+ *
+ * An asset query (?raw, ?url, ?react) is kept on the ID, since the same file
+ * imported with a different query is a different module.
+ *
+ * @param {string} specifier - Import specifier (@/..., relative, or a module ID)
+ * @param {string} importerId - Module ID of the importing file ('' for entry points)
+ * @param {Object} options - { baseUrl, fileSystem, fileCache }
+ * @returns {Object} { id, contents, loader, resolvedPath, query }
+ */
+export async function loadModule(specifier, importerId = '', options = {}) {
+  const { baseUrl = '/src', fileSystem = null, fileCache = null } = options;
+  const from = importerId ? ` (imported from ${importerId})` : '';
+
+  const { path, query } = splitQuery(specifier);
+  if (query && !ASSET_QUERIES.includes(query)) {
+    throw new Error(`Unsupported import query "?${query}" in "${specifier}"${from}`);
+  }
+
+  let modulePath;
+  try {
+    modulePath = resolveImportSpecifier(path, importerId, baseUrl);
+  } catch (error) {
+    throw new Error(`${error.message}${from}`);
+  }
+  if (!modulePath) {
+    throw new Error(`Could not resolve "${specifier}"${from}`);
+  }
+
+  try {
+    let file = readWorkspaceFile(modulePath, baseUrl, fileSystem);
+    if (!file && fileCache && fileCache.has(modulePath)) {
+      file = fileCache.get(modulePath);
+    }
+    if (!file) {
+      file = await fetchSourceFile(modulePath, baseUrl);
+      if (fileCache) fileCache.set(modulePath, file);
+    }
+    if (!query) {
+      return { ...file, id: file.resolvedPath, query };
+    }
+    return {
+      ...file,
+      id: `${file.resolvedPath}?${query}`,
+      loader: query === 'raw' ? 'text' : file.loader,
+      query
+    };
+  } catch (error) {
+    throw new Error(`${error.message}${from}`);
+  }
+}
+
+/**
+ * Blank out comments, regular expressions and string literals, keeping the
+ * strings written right after `import`, `from` or `import(` (the module
+ * specifiers). Blanked text keeps its line breaks.
+ */
+function maskNonSpecifiers(code) {
+  const blank = (text) => text.replace(/[^\n]/g, ' ');
+  // Scan to the end of a literal that starts at `start` and closes with `close`
+  const scanLiteral = (start, close, multiline) => {
+    let end = start + 1;
+    let inClass = false;
+    while (end < code.length && (multiline || code[end] !== '\n')) {
+      const char = code[end];
+      if (char === '\\') {
+        end += 2;
+        continue;
+      }
+      end++;
+      // A / inside a regular expression's [...] class does not close it
+      if (close === '/' && (char === '[' || char === ']')) {
+        inClass = char === '[';
+      } else if (char === close && !inClass) {
+        break;
+      }
+    }
+    return Math.min(end, code.length);
+  };
+
+  let result = '';
+  let i = 0;
+  while (i < code.length) {
+    const char = code[i];
+    const next = code[i + 1];
+    let end = i;
+
+    if (char === '/' && next === '/') {
+      end = code.indexOf('\n', i);
+      if (end === -1) end = code.length;
+    } else if (char === '/' && next === '*') {
+      end = code.indexOf('*/', i + 2);
+      end = end === -1 ? code.length : end + 2;
+    } else if (char === '"' || char === "'" || char === '`') {
+      end = scanLiteral(i, char, char === '`');
+      if (char !== '`' && /(?:^|[^\w$.])(?:import|from)\s*\(?\s*$/.test(result.slice(-32))) {
+        result += code.slice(i, end);
+        i = end;
+        continue;
+      }
+    } else if (char === '/' && /(?:^|[(,=:[!&|?{};+\-*%~^]|\breturn|\btypeof)\s*$/.test(result.slice(-16))) {
+      end = scanLiteral(i, '/', false);
+    }
+
+    if (end > i) {
+      result += blank(code.slice(i, end));
+      i = end;
+    } else {
+      result += char;
+      i++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Extract import/export specifiers from source code (static and dynamic)
+ * Imports inside comments and string literals are ignored.
+ */
+export function extractImportSpecifiers(source) {
+  const code = maskNonSpecifiers(source);
+  const specifiers = new Set();
+  const patterns = [
+    /\b(?:import|export)\s+(?:type\s+)?(?:[\w*{}\s,$]+?\s+from\s+)?["']([^"']+)["']/g,
+    /\bimport\s*\(\s*["']([^"']+)["']\s*\)/g
+  ];
+
+  for (const pattern of patterns) {
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+      specifiers.add(match[1]);
+    }
+  }
+
+  return Array.from(specifiers);
+}
+
+/**
+ * Find workspace imports that do not resolve to a workspace file
+ * @returns {Array<{file: string, specifier: string}>}
+ */
+export function findBrokenImports(fileSystem, baseUrl = '/src') {
+  const broken = [];
+
+  for (const file of fileSystem.list()) {
+    if (!EXTENSION_PRIORITY.some(ext => file.endsWith(ext))) continue;
+
+    for (const specifier of extractImportSpecifiers(fileSystem.readFile(file))) {
+      let resolved = null;
+      try {
+        const modulePath = resolveImportSpecifier(splitQuery(specifier).path, file, baseUrl);
+        if (!modulePath) continue;
+        resolved = readWorkspaceFile(modulePath, baseUrl, fileSystem);
+      } catch (e) {
+        // Outside the workspace, or deleted from it
+      }
+      if (!resolved) {
+        broken.push({ file, specifier });
+      }
+    }
+  }
+
+  return broken;
+}
+
+/**
+ * Write a workspace path relative to a directory ('./x', '../lib/x')
+ */
+function toRelativeSpecifier(fromDir, path) {
+  const from = fromDir.split('/').filter(Boolean);
+  const to = path.split('/').filter(Boolean);
+
+  let common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) {
+    common++;
+  }
+  const rest = to.slice(common).join('/');
+  const up = from.length - common;
+  return up === 0 ? `./${rest}` : `${'../'.repeat(up)}${rest}`;
+}
+
+/**
+ * List the workspace files an import specifier being typed can refer to
+ * Specifiers are @/ paths, or relative ones once the typed text starts with
+ * '.'. Code files drop their extension when the resolver finds them without it.
+ * @param {string} typed - The specifier typed so far
+ * @param {string} importerPath - Path of the importing file
+ * @param {Object} fileSystem - Workspace file system
+ * @returns {Array<{specifier: string, path: string}>}
+ */
+export function getImportCompletions(typed, importerPath, fileSystem, baseUrl = '/src') {
+  const relative = typed.startsWith('.');
+  const importerDir = importerPath.substring(0, importerPath.lastIndexOf('/'));
+  const completions = [];
+
+  for (const path of fileSystem.list()) {
+    if (path === importerPath || !path.startsWith(`${baseUrl}/`)) continue;
+
+    const specifier = relative
+      ? toRelativeSpecifier(importerDir, path)
+      : `@/${path.slice(baseUrl.length + 1)}`;
+
+    const extension = getExtension(path);
+    const bare = specifier.slice(0, -extension.length);
+    let resolved = null;
+    if (EXTENSION_PRIORITY.includes(extension)) {
+      try {
+        resolved = readWorkspaceFile(resolveImportSpecifier(bare, importerPath, baseUrl), baseUrl, fileSystem);
+      } catch (e) {
+        // A deleted file shadows it
+      }
+    }
+
+    completions.push({
+      specifier: resolved && resolved.resolvedPath === path ? bare : specifier,
+      path
+    });
+  }
+
+  return completions;
+}
+
 /**
  * Fetch a source file with automatic extension resolution
  */
@@ -24,12 +470,15 @@ export async function fetchSourceFile(modulePath, baseUrl = '/src') {
   const resolvedBase = resolveModulePath(modulePath, baseUrl);
 
   // Check if path already has an extension
-  const hasExtension = EXTENSION_PRIORITY.some(ext => modulePath.endsWith(ext));
+  const hasExtension = KNOWN_EXTENSIONS.includes(getExtension(modulePath));
 
   if (hasExtension) {
-    const response = await fetch(resolvedBase);
+    const response = await fetch(toServerUrl(resolvedBase));
     if (response.ok) {
-      const contents = await response.text();
+      // Binary assets are kept as data URLs so every file stays a string
+      const contents = isBinaryPath(resolvedBase)
+        ? bytesToDataUrl(new Uint8Array(await response.arrayBuffer()), getMimeType(resolvedBase))
+        : await response.text();
       return {
         contents,
         loader: getLoader(modulePath),
@@ -43,7 +492,7 @@ export async function fetchSourceFile(modulePath, baseUrl = '/src') {
   for (const ext of EXTENSION_PRIORITY) {
     const pathWithExt = `${resolvedBase}${ext}`;
     try {
-      const response = await fetch(pathWithExt);
+      const response = await fetch(toServerUrl(pathWithExt));
       if (response.ok) {
         const contents = await response.text();
 
@@ -72,6 +521,20 @@ export async function fetchSourceFile(modulePath, baseUrl = '/src') {
   throw new Error(`Could not resolve module: ${modulePath}. Tried: ${EXTENSION_PRIORITY.map(e => resolvedBase + e).join(', ')}`);
 }
 
+/**
+ * Fetch the source tree listing served by the dev server (or emitted at build)
+ * @returns {string[]} Resolved file paths, e.g. ['/src/entry.tsx', ...]
+ */
+export async function fetchSourceManifest(baseUrl = '/src') {
+  const response = await fetch(toServerUrl(`${baseUrl}/${MANIFEST_NAME}`));
+  if (!response.ok) {
+    throw new Error(`Could not load source manifest (status: ${response.status})`);
+  }
+
+  const { files } = await response.json();
+  return files.map(file => `${baseUrl}/${file}`);
+}
+
 /**
  * Determine the esbuild/swc loader based on file extension
  */
@@ -82,7 +545,11 @@ export function getLoader(filePath) {
   if (filePath.endsWith('.js')) return 'js';
   if (filePath.endsWith('.css')) return 'css';
   if (filePath.endsWith('.json')) return 'json';
-  return 'js';
+  if (filePath.endsWith('.svg')) return 'svg';
+  if (isBinaryPath(filePath)) {
+    return getMimeType(filePath).startsWith('image/') ? 'image' : 'file';
+  }
+  return 'text';
 }
 
 /**
@@ -113,3 +580,179 @@ export function createFileCache() {
     }
   };
 }
+
+/**
+ * Create an in-memory virtual file system for the workspace
+ * Files are keyed by their resolved path (e.g. /src/entry.tsx)
+ */
+export function createVirtualFileSystem() {
+  const files = new Map();
+  const directories = new Set();
+  // Paths removed from the workspace; these must not fall back to the server
+  const deleted = new Set();
+  const listeners = new Set();
+
+  const notify = (type, path, newPath = null) => {
+    for (const listener of listeners) {
+      listener({ type, path, newPath });
+    }
+  };
+
+  const isInside = (path, dir) => path.startsWith(`${dir}/`);
+
+  return {
+    readFile(path) {
+      return files.get(path);
+    },
+
+    writeFile(path, contents) {
+      const existed = files.has(path);
+      files.set(path, contents);
+      deleted.delete(path);
+      notify(existed ? 'change' : 'create', path);
+    },
+
+    has(path) {
+      return files.has(path);
+    },
+
+    isDeleted(path) {
+      return deleted.has(path);
+    },
+
+    isDirectory(path) {
+      if (directories.has(path)) return true;
+      return Array.from(files.keys()).some(file => isInside(file, path));
+    },
+
+    deleteFile(path) {
+      if (files.delete(path)) {
+        deleted.add(path);
+        notify('delete', path);
+      }
+    },
+
+    /**
+     * Create an (possibly empty) directory
+     */
+    mkdir(path) {
+      if (!directories.has(path)) {
+        directories.add(path);
+        notify('mkdir', path);
+      }
+    },
+
+    /**
+     * Delete a file, or a directory with everything inside it
+     */
+    remove(path) {
+      if (files.has(path)) {
+        this.deleteFile(path);
+        return;
+      }
+
+      for (const file of Array.from(files.keys())) {
+        if (isInside(file, path)) {
+          files.delete(file);
+          deleted.add(file);
+        }
+      }
+      for (const dir of Array.from(directories)) {
+        if (dir === path || isInside(dir, path)) {
+          directories.delete(dir);
+        }
+      }
+      notify('delete', path);
+    },
+
+    /**
+     * Rename or move a file or directory
+     */
+    rename(oldPath, newPath) {
+      if (files.has(newPath) || directories.has(newPath)) {
+        throw new Error(`${newPath} already exists`);
+      }
+
+      const move = (path) => `${newPath}${path.slice(oldPath.length)}`;
+
+      if (files.has(oldPath)) {
+        files.set(newPath, files.get(oldPath));
+        files.delete(oldPath);
+        deleted.add(oldPath);
+        deleted.delete(newPath);
+      } else {
+        for (const file of Array.from(files.keys())) {
+          if (isInside(file, oldPath)) {
+            files.set(move(file), files.get(file));
+            files.delete(file);
+            deleted.add(file);
+            deleted.delete(move(file));
+          }
+        }
+        for (const dir of Array.from(directories)) {
+          if (dir === oldPath || isInside(dir, oldPath)) {
+            directories.delete(dir);
+            directories.add(move(dir));
+          }
+        }
+      }
+
+      notify('rename', oldPath, newPath);
+    },
+
+    list() {
+      return Array.from(files.keys()).sort();
+    },
+
+    listDirectories() {
+      return Array.from(directories).sort();
+    },
+
+    clear() {
+      files.clear();
+      directories.clear();
+      deleted.clear();
+      notify('clear', null);
+    },
+
+    /**
+     * Serialize the workspace to a plain object
+     * @returns {Object} { files, directories, deleted }
+     */
+    snapshot() {
+      return {
+        files: Object.fromEntries(files),
+        directories: Array.from(directories),
+        deleted: Array.from(deleted)
+      };
+    },
+
+    /**
+     * Replace the workspace with a snapshot
+     */
+    restore(snapshot) {
+      files.clear();
+      directories.clear();
+      deleted.clear();
+      for (const [path, contents] of Object.entries(snapshot.files || {})) {
+        files.set(path, contents);
+      }
+      for (const dir of snapshot.directories || []) {
+        directories.add(dir);
+      }
+      for (const path of snapshot.deleted || []) {
+        deleted.add(path);
+      }
+      notify('restore', null);
+    },
+
+    /**
+     * Subscribe to file changes
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
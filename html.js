@@ -0,0 +1,16 @@
+/**
+ * HTML Helpers
+ * Escaping for text rendered through innerHTML
+ */
+
+/**
+ * Escape HTML special characters, for element text and quoted attribute values
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
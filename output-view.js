@@ -0,0 +1,165 @@
+/**
+ * Output View
+ * Read-only view of the code the last build generated: esbuild's bundle, or
+ * each module SWC built. With a source map, the mapped range under the caret
+ * is highlighted and links to the source it came from.
+ */
+
+import { basicSetup } from "codemirror";
+import { EditorView, Decoration } from "@codemirror/view";
+import { EditorState, StateField, Compartment } from "@codemirror/state";
+import { javascript } from "@codemirror/lang-javascript";
+import { getEditorTheme } from "./code-editor.js";
+import { createSourceMapConsumer } from "./source-map.js";
+import { escapeHtml } from "./html.js";
+
+const mappedRangeMark = Decoration.mark({ class: "cm-mapped-range" });
+
+const mappedRangeTheme = EditorView.baseTheme({
+  ".cm-mapped-range": { backgroundColor: "rgba(59, 130, 246, 0.3)" }
+});
+
+/**
+ * Create the output view
+ * @param {Object} elements - { host, fileSelect, sourceLink, copyButton, downloadButton }
+ * @param {Object} callbacks
+ * @param {Function} callbacks.openSource - Called with { source, line, column }
+ *   (both one-based) when the source link is clicked
+ * @param {Function} callbacks.copy - Called with the code shown
+ * @param {Function} callbacks.download - Called with a file name and the code shown
+ * @returns {Object} View API
+ */
+export function createOutputView(elements, callbacks) {
+  const { host, fileSelect, sourceLink, copyButton, downloadButton } = elements;
+  const theme = new Compartment();
+  let isDark = true;
+  // Files of the last build (see getOutputFiles in wasm-runner.js), and the one shown
+  let files = [];
+  let file = null;
+  let consumer = null;
+  // Original position of the range under the caret
+  let mapping = null;
+
+  // Find the mapped range under the caret
+  const findMapping = (state) => {
+    if (!consumer) return null;
+    const head = state.selection.main.head;
+    const line = state.doc.lineAt(head);
+    const found = consumer.mappingAt(line.number, head - line.from);
+    if (!found) return null;
+
+    return {
+      ...found,
+      from: line.from + found.startColumn,
+      to: found.endColumn === null ? line.to : Math.min(line.from + found.endColumn, line.to)
+    };
+  };
+
+  const highlightMapping = (state) => {
+    const found = findMapping(state);
+    return found && found.to > found.from
+      ? Decoration.set([mappedRangeMark.range(found.from, found.to)])
+      : Decoration.none;
+  };
+
+  const mappedRange = StateField.define({
+    create: highlightMapping,
+    update: (decorations, transaction) => highlightMapping(transaction.state),
+    provide: (field) => EditorView.decorations.from(field)
+  });
+
+  const showMapping = (state) => {
+    mapping = findMapping(state);
+    sourceLink.hidden = !mapping;
+    if (mapping) {
+      sourceLink.textContent = `↪ ${mapping.source}:${mapping.line}:${mapping.column + 1}`;
+    }
+  };
+
+  const createState = (code) =>
+    EditorState.create({
+      doc: code,
+      extensions: [
+        basicSetup,
+        javascript(),
+        EditorState.readOnly.of(true),
+        theme.of(getEditorTheme(isDark)),
+        mappedRange,
+        mappedRangeTheme,
+        EditorView.updateListener.of((update) => showMapping(update.state))
+      ]
+    });
+
+  const view = new EditorView({ parent: host, state: createState("") });
+
+  // Show a file; the same file from a newer build keeps its scroll position
+  const showFile = (next) => {
+    const sameFile = file && file.name === next.name;
+    file = next;
+    consumer = next.sourceMap ? createSourceMapConsumer(next.sourceMap) : null;
+
+    if (sameFile) {
+      view.dispatch({
+        changes: { from: 0, to: view.state.doc.length, insert: next.code },
+        selection: { anchor: Math.min(view.state.selection.main.head, next.code.length) }
+      });
+    } else {
+      view.setState(createState(next.code));
+    }
+    showMapping(view.state);
+  };
+
+  fileSelect.addEventListener("change", () => {
+    const next = files.find(({ name }) => name === fileSelect.value);
+    if (next) showFile(next);
+  });
+
+  sourceLink.addEventListener("click", () => {
+    if (mapping) {
+      callbacks.openSource({ source: mapping.source, line: mapping.line, column: mapping.column + 1 });
+    }
+  });
+
+  copyButton.addEventListener("click", () => {
+    if (file) callbacks.copy(file.code);
+  });
+
+  downloadButton.addEventListener("click", () => {
+    if (!file) return;
+    // Modules are JavaScript whatever their source was
+    const name = file.name.split("/").pop().replace(/\.[^.]*$/, "");
+    callbacks.download(`${name}.js`, file.code);
+  });
+
+  return {
+    /**
+     * Show the files of a new build, staying on the same file when it is still there
+     * @param {Array<Object>} output - { name, code, sourceMap } (see getOutputFiles)
+     */
+    setOutput(output) {
+      files = output;
+      fileSelect.innerHTML = files
+        .map(({ name }) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+        .join("");
+      fileSelect.disabled = files.length < 2;
+
+      const next = files.find(({ name }) => file && name === file.name) || files[0];
+      if (next) {
+        fileSelect.value = next.name;
+        showFile(next);
+      }
+    },
+
+    /**
+     * Measure again after being shown (the editor cannot while hidden)
+     */
+    refresh() {
+      view.requestMeasure();
+    },
+
+    setTheme(dark) {
+      isDark = dark;
+      view.dispatch({ effects: theme.reconfigure(getEditorTheme(dark)) });
+    }
+  };
+}
@@ -0,0 +1,461 @@
+/**
+ * Package Resolver
+ * Maps the npm packages a workspace imports to ES module URLs for the preview
+ * import map. Packages must be listed in the dependencies of the workspace's
+ * package.json and are pinned to exact versions; React's packages always come
+ * from the runtime (see runtime-config.js), so the preview has a single React.
+ */
+
+import { loadModule } from "./file-loader.js";
+
+const env = import.meta.env || {};
+
+/**
+ * Name of the workspace file whose dependencies may be imported
+ */
+export const PACKAGE_JSON = "package.json";
+
+// Shared with the app: every package imports these through the import map
+// instead of bundling its own copy
+const REACT_PEERS = ["react", "react-dom"];
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_VERSION_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/;
+
+/**
+ * Check whether an import specifier names an npm package
+ */
+export function isBareSpecifier(specifier) {
+  return (
+    !specifier.startsWith(".") &&
+    !specifier.startsWith("/") &&
+    !specifier.startsWith("@/") &&
+    !/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(specifier)
+  );
+}
+
+/**
+ * Split a bare specifier into its package name and subpath
+ * e.g. "@scope/pkg/feature" → { name: "@scope/pkg", subpath: "feature" }
+ */
+export function parsePackageSpecifier(specifier) {
+  const parts = specifier.split("/");
+  const length = specifier.startsWith("@") ? 2 : 1;
+  return {
+    name: parts.slice(0, length).join("/"),
+    subpath: parts.slice(length).join("/")
+  };
+}
+
+/**
+ * Parse a full version ("1.2.3", "1.2.3-beta.1")
+ */
+function parseVersion(version) {
+  const match = String(version).match(VERSION_PATTERN);
+  if (!match) return null;
+  return {
+    parts: [Number(match[1]), Number(match[2]), Number(match[3])],
+    prerelease: match[4] ? match[4].split(".") : []
+  };
+}
+
+/**
+ * Compare two parsed versions (a prerelease sorts before its release)
+ */
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a.parts[i] !== b.parts[i]) return a.parts[i] - b.parts[i];
+  }
+  if (!a.prerelease.length || !b.prerelease.length) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const x = a.prerelease[i];
+    const y = b.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    const numeric = /^\d+$/.test(x) && /^\d+$/.test(y);
+    if (numeric) return Number(x) - Number(y);
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Turn one range term (e.g. "^1.2", "~1.2.3", ">=2", "1.x") into comparators
+ * @returns {Array|null} [operator, version] pairs, or null when unsupported
+ */
+function parseRangeTerm(term) {
+  const [, operator = "", rest] = term.match(/^(\^|~|>=|<=|>|<|=)?(.*)$/);
+  const match = rest.match(PARTIAL_VERSION_PATTERN);
+  if (!match && rest !== "") return null;
+
+  // Missing or wildcard parts (1.x, 1) are null
+  const numbers = match
+    ? match.slice(1, 4).map((part) => (part === undefined || /[xX*]/.test(part) ? null : Number(part)))
+    : [null, null, null];
+  const prerelease = match && match[4] ? match[4].split(".") : [];
+  const [major, minor, patch] = numbers;
+  const version = (a, b, c, pre = []) => ({ parts: [a, b, c], prerelease: pre });
+  const floor = version(major ?? 0, minor ?? 0, patch ?? 0, prerelease);
+  // Smallest version above a partial version: 1 → 2.0.0-0, 1.2 → 1.3.0-0
+  const ceiling = (level) =>
+    level === 0
+      ? version(major + 1, 0, 0, ["0"])
+      : level === 1
+        ? version(major, minor + 1, 0, ["0"])
+        : version(major, minor, patch + 1, ["0"]);
+  const precision = numbers.indexOf(null) === -1 ? 3 : numbers.indexOf(null);
+
+  if (major === null) {
+    return operator === "<" || operator === ">" ? null : [];
+  }
+
+  switch (operator) {
+    case "^": {
+      // Allow changes that do not modify the left-most non-zero part
+      const level =
+        major !== 0 || precision === 1 ? 0 : minor !== 0 || precision === 2 ? 1 : 2;
+      return [[">=", floor], ["<", ceiling(level)]];
+    }
+    case "~":
+      return [[">=", floor], ["<", ceiling(precision >= 2 ? 1 : 0)]];
+    case ">=":
+      return [[">=", floor]];
+    case "<":
+      return [["<", floor]];
+    case ">":
+      return precision === 3 ? [[">", floor]] : [[">=", ceiling(precision - 1)]];
+    case "<=":
+      return precision === 3 ? [["<=", floor]] : [["<", ceiling(precision - 1)]];
+    default:
+      return precision === 3
+        ? [["=", floor]]
+        : [[">=", floor], ["<", ceiling(precision - 1)]];
+  }
+}
+
+/**
+ * Parse a semver range ("^1.2.3", "1.x || >=2.1 <3", "1.2 - 1.4")
+ * @returns {Array|null} Alternatives, each a list of comparators; null when unsupported
+ */
+function parseRange(range) {
+  const alternatives = [];
+
+  for (const alternative of range.trim().split("||")) {
+    const text = alternative
+      .trim()
+      .replace(/^(\S+)\s+-\s+(\S+)$/, ">=$1 <=$2")
+      .replace(/(\^|~|>=|<=|>|<|=)\s+/g, "$1");
+    const comparators = [];
+    for (const term of text ? text.split(/\s+/) : [""]) {
+      const parsed = parseRangeTerm(term);
+      if (!parsed) return null;
+      comparators.push(...parsed);
+    }
+    alternatives.push(comparators);
+  }
+
+  return alternatives;
+}
+
+/**
+ * Check whether a version satisfies a parsed range
+ * Prereleases only match comparators on the same major.minor.patch that name one
+ */
+function satisfies(version, alternatives) {
+  return alternatives.some((comparators) => {
+    if (
+      version.prerelease.length &&
+      !comparators.some(
+        ([, bound]) =>
+          bound.prerelease.length &&
+          bound.prerelease[0] !== "0" &&
+          bound.parts.every((part, index) => part === version.parts[index])
+      )
+    ) {
+      return false;
+    }
+    return comparators.every(([operator, bound]) => {
+      const order = compareVersions(version, bound);
+      switch (operator) {
+        case ">=": return order >= 0;
+        case ">": return order > 0;
+        case "<=": return order <= 0;
+        case "<": return order < 0;
+        default: return order === 0;
+      }
+    });
+  });
+}
+
+/**
+ * Pick the exact version a dependency range refers to
+ * @param {Object} available - { versions: string[], tags: { [tag]: version } }
+ * @param {string} range - Version, range or dist-tag from package.json
+ * @returns {string} The highest matching version
+ */
+export function pickVersion(available, range) {
+  const wanted = range.trim() || "*";
+  if (available.tags && Object.hasOwn(available.tags, wanted)) {
+    return available.tags[wanted];
+  }
+
+  const alternatives = parseRange(wanted);
+  if (!alternatives) {
+    throw new Error(`unsupported version range "${range}"`);
+  }
+
+  let best = null;
+  let bestVersion = null;
+  for (const candidate of available.versions) {
+    const version = parseVersion(candidate);
+    if (!version || !satisfies(version, alternatives)) continue;
+    if (!bestVersion || compareVersions(version, bestVersion) > 0) {
+      best = candidate;
+      bestVersion = version;
+    }
+  }
+
+  if (!best) {
+    throw new Error(`no published version matches "${range}"`);
+  }
+  return best;
+}
+
+/**
+ * Cache package version lookups; failed lookups are retried on the next build
+ */
+function createVersionCache(lookup) {
+  const cache = new Map();
+  return (name) => {
+    if (!cache.has(name)) {
+      cache.set(
+        name,
+        lookup(name).catch((error) => {
+          cache.delete(name);
+          throw error;
+        })
+      );
+    }
+    return cache.get(name);
+  };
+}
+
+/**
+ * Create a resolver for esm.sh-style CDNs
+ * Versions are looked up in the npm registry; React peers stay external so
+ * packages share the preview's React.
+ * @param {Object} options - { cdn, registry }
+ * @returns {Object} Package resolver (see createPackageResolver)
+ */
+export function createEsmShResolver(options = {}) {
+  const { cdn = "https://esm.sh", registry = "https://registry.npmjs.org" } = options;
+
+  const getVersions = createVersionCache(async (name) => {
+    const response = await fetch(`${registry}/${name.replace("/", "%2f")}`, {
+      headers: { Accept: "application/vnd.npm.install-v1+json" }
+    });
+    if (response.status === 404) {
+      throw new Error("not found in the npm registry");
+    }
+    if (!response.ok) {
+      throw new Error(`npm registry responded with ${response.status}`);
+    }
+    const metadata = await response.json();
+    return {
+      versions: Object.keys(metadata.versions || {}),
+      tags: metadata["dist-tags"] || {}
+    };
+  });
+
+  return {
+    name: "esm.sh",
+
+    async resolveVersion(name, range) {
+      return pickVersion(await getVersions(name), range);
+    },
+
+    getUrl({ name, version, subpath, development }) {
+      const external = REACT_PEERS.filter((peer) => peer !== name).join(",");
+      const query = [external && `external=${external}`, development && "dev"].filter(Boolean);
+      return `${cdn}/${name}@${version}${subpath ? `/${subpath}` : ""}${query.length ? `?${query.join("&")}` : ""}`;
+    }
+  };
+}
+
+/**
+ * Create a resolver for a local package mirror, for tests and offline use
+ * The mirror serves index.json ({ [name]: [versions] }) and prebuilt ES modules
+ * at <url>/<name>@<version>/index.js and <url>/<name>@<version>/<subpath>.js,
+ * which import React by its bare name.
+ * @param {Object} options - { url }
+ * @returns {Object} Package resolver (see createPackageResolver)
+ */
+export function createMirrorResolver(options = {}) {
+  const url = String(options.url || "").replace(/\/$/, "");
+  if (!url) {
+    throw new Error("The mirror package resolver needs a url");
+  }
+
+  let index = null;
+  const getVersions = createVersionCache(async (name) => {
+    index ??= fetch(`${url}/index.json`).then((response) => {
+      if (!response.ok) {
+        throw new Error(`package mirror responded with ${response.status}`);
+      }
+      return response.json();
+    });
+    const packages = await index.catch((error) => {
+      index = null;
+      throw error;
+    });
+    if (!Object.hasOwn(packages, name)) {
+      throw new Error("not found in the package mirror");
+    }
+    return { versions: packages[name], tags: {} };
+  });
+
+  return {
+    name: "mirror",
+
+    async resolveVersion(name, range) {
+      return pickVersion(await getVersions(name), range);
+    },
+
+    getUrl({ name, version, subpath }) {
+      return `${url}/${name}@${version}/${subpath || "index"}.js`;
+    }
+  };
+}
+
+const RESOLVERS = {
+  "esm.sh": createEsmShResolver,
+  mirror: createMirrorResolver
+};
+
+/**
+ * Create a package resolver
+ * A resolver has resolveVersion(name, range) → exact version and
+ * getUrl({ name, version, subpath, development }) → module URL.
+ * @param {Object} config - { type: 'esm.sh' | 'mirror', ...options }, or a
+ *   resolver object (only without a compiler worker: it cannot be sent to one).
+ *   Defaults to the mirror at VITE_PACKAGE_MIRROR when set, otherwise esm.sh.
+ * @returns {Object} Package resolver
+ */
+export function createPackageResolver(config) {
+  if (config && typeof config.getUrl === "function") {
+    return config;
+  }
+
+  const { type, ...options } =
+    config ||
+    (env.VITE_PACKAGE_MIRROR ? { type: "mirror", url: env.VITE_PACKAGE_MIRROR } : { type: "esm.sh" });
+  if (!RESOLVERS[type]) {
+    throw new Error(`Unknown package resolver: ${type}`);
+  }
+  return RESOLVERS[type](options);
+}
+
+/**
+ * Read the dependencies of the workspace's package.json
+ * A workspace without one can only import React.
+ * @param {Object} options - { baseUrl, fileSystem, fileCache }
+ * @returns {Object} { path, dependencies, runtime } (runtime: the "runtime" field, see runtime-config.js)
+ */
+export async function readWorkspacePackage(options = {}) {
+  const { baseUrl = "/src" } = options;
+  const path = `${baseUrl}/${PACKAGE_JSON}`;
+
+  let file;
+  try {
+    file = await loadModule(path, "", options);
+  } catch (error) {
+    return { path, dependencies: {}, runtime: undefined };
+  }
+
+  let json;
+  try {
+    json = JSON.parse(file.contents);
+  } catch (error) {
+    throw new Error(`${path}: invalid JSON (${error.message})`);
+  }
+
+  const dependencies = { ...(json && json.dependencies) };
+  for (const [name, range] of Object.entries(dependencies)) {
+    if (typeof range !== "string") {
+      throw new Error(`${path}: the version of "${name}" must be a string`);
+    }
+  }
+  // Runtime overrides are checked by createRuntimeConfig
+  return { path, dependencies, runtime: json && json.runtime };
+}
+
+/**
+ * Check that a bare import names a declared dependency (React is always available)
+ * @param {string} specifier - Bare import specifier
+ * @param {Object} workspacePackage - See readWorkspacePackage
+ * @returns {string|null} Error message, or null when the import is allowed
+ */
+export function checkPackageImport(specifier, workspacePackage) {
+  const { name } = parsePackageSpecifier(specifier);
+  if (REACT_PEERS.includes(name) || Object.hasOwn(workspacePackage.dependencies, name)) {
+    return null;
+  }
+  return `Package "${name}" is not listed in the dependencies of ${workspacePackage.path}`;
+}
+
+/**
+ * Create import map entries for the packages a build imports
+ * @param {Iterable<string>} specifiers - Bare specifiers left external by the build
+ * @param {Object} options - { workspacePackage, resolver, runtimeVersions, development },
+ *   where runtimeVersions are the React versions of the preview (see createRuntimeConfig)
+ * @returns {Promise<Object>} specifier → URL
+ * @throws {Error} Naming every package that could not be resolved, one per line
+ */
+export async function resolvePackageImports(specifiers, options) {
+  const { workspacePackage, resolver, runtimeVersions, development = false } = options;
+  const versions = new Map();
+  const errors = [];
+
+  for (const specifier of specifiers) {
+    const { name } = parsePackageSpecifier(specifier);
+    if (versions.has(name)) continue;
+
+    // React's packages are pinned to the runtime's version
+    if (REACT_PEERS.includes(name)) {
+      versions.set(name, runtimeVersions[name]);
+      continue;
+    }
+
+    const range = workspacePackage.dependencies[name];
+    versions.set(
+      name,
+      resolver.resolveVersion(name, range).catch((error) => {
+        errors.push(`Could not resolve package "${name}@${range}": ${error.message}`);
+        return null;
+      })
+    );
+  }
+
+  const resolved = new Map();
+  for (const [name, version] of versions) {
+    resolved.set(name, await version);
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join("\n"));
+  }
+
+  const imports = {};
+  for (const specifier of specifiers) {
+    const { name, subpath } = parsePackageSpecifier(specifier);
+    imports[specifier] = resolver.getUrl({
+      name,
+      version: resolved.get(name),
+      subpath,
+      development
+    });
+  }
+  return imports;
+}
@@ -4,130 +4,608 @@
  */
 
 import { createRunner } from "./wasm-runner.js";
-import { fetchSourceFile } from "./file-loader.js";
+import {
+  encodeWorkspace,
+  decodeWorkspace,
+  validateSharedWorkspace,
+  createShareUrl,
+  getSharedWorkspaceFromHash,
+  SHARE_URL_WARN_LENGTH,
+  SHARE_URL_MAX_LENGTH
+} from "./share.js";
+import { exportProjectZip, importProjectZip } from "./project-export.js";
+import { isPreviewMessage, postToPreview } from "./preview-runtime.js";
+import { createConsolePanel } from "./console-panel.js";
+import { THEME_COLORS } from "./runtime-config.js";
+import { createTypeChecker, TYPE_CHECK_MODES } from "./type-checker.js";
+import {
+  createDiagnostic,
+  getErrorDiagnostics,
+  countDiagnostics,
+  formatDiagnostic
+} from "./diagnostics.js";
+import { createProblemsPanel } from "./problems-panel.js";
+import { createEditorPane } from "./editor-pane.js";
+import { createComparisonView } from "./compiler-comparison.js";
+import { createOutputView } from "./output-view.js";
+import { escapeHtml } from "./html.js";
+import {
+  saveWorkspace,
+  loadWorkspace,
+  clearWorkspace
+} from "./workspace-store.js";
+import {
+  fetchSourceFile,
+  fetchSourceManifest,
+  createVirtualFileSystem,
+  findBrokenImports,
+  getImportCompletions,
+  isBinaryPath,
+  isWorkspacePath
+} from "./file-loader.js";
 
 // DOM Elements
-const codeEditor = document.getElementById("code-editor");
-const codeHighlight = document.getElementById("code-highlight");
-const editorHeader = document.getElementById("editor-header");
+const editorDiagnostic = document.getElementById("editor-diagnostic");
+const sidePaneElement = document.getElementById("editor-pane-side");
+const splitToggle = document.getElementById("editor-split-toggle");
 const fileTree = document.getElementById("file-tree");
 const compilerSelect = document.getElementById("compiler-select");
+const compareToggle = document.getElementById("compare-compilers");
+const comparisonEl = document.getElementById("comparison");
+const typeCheckSelect = document.getElementById("typecheck-select");
 const previewStatus = document.getElementById("preview-status");
+const previewTabs = document.getElementById("preview-tabs");
+const outputEl = document.getElementById("output-view");
+const errorOverlay = document.getElementById("error-overlay");
+const errorOverlayTitle = document.getElementById("error-overlay-title");
+const errorOverlayList = document.getElementById("error-overlay-list");
+const errorOverlayDismiss = document.getElementById("error-overlay-dismiss");
+const consolePanel = createConsolePanel(
+  {
+    output: document.getElementById("console-output"),
+    form: document.getElementById("console-form"),
+    input: document.getElementById("console-eval"),
+    filters: document.getElementById("console-filters"),
+    clearButton: document.getElementById("console-clear")
+  },
+  {
+    evaluate: (expression, id) =>
+      postToPreview(rootEl, { type: "eval", id, expression })
+  }
+);
 const rootEl = document.getElementById("root");
+const problemsPanel = createProblemsPanel(
+  {
+    list: document.getElementById("problems-list"),
+    summary: document.getElementById("problems-summary")
+  },
+  {
+    open: ({ file, line, column }) => revealFile(file, line, column)
+  }
+);
+const editorPaneCallbacks = {
+  read: (path) => workspace.readFile(path),
+  change: handleEditorChange,
+  activate: activatePane,
+  getTabStatus: (path) => ({ status: getFileStatus(path), unsaved: unsavedFiles.has(path) }),
+  cursorDiagnostic: showCursorDiagnostic,
+  completeImport: (typed, importer) =>
+    getImportCompletions(typed, importer, workspace, compileOptions.baseUrl)
+};
+const mainPane = createEditorPane(document.getElementById("editor-pane-main"), editorPaneCallbacks);
+const sidePane = createEditorPane(sidePaneElement, editorPaneCallbacks);
+const editorPanes = [mainPane, sidePane];
+const outputView = createOutputView(
+  {
+    host: document.getElementById("output-editor"),
+    fileSelect: document.getElementById("output-file"),
+    sourceLink: document.getElementById("output-source"),
+    copyButton: document.getElementById("output-copy"),
+    downloadButton: document.getElementById("output-download")
+  },
+  {
+    openSource: ({ source, line, column }) => {
+      if (workspace.has(source)) revealFile(source, line, column);
+    },
+    copy: async (code) => {
+      try {
+        await navigator.clipboard.writeText(code);
+        setPreviewStatus("📋 Output copied", "success");
+      } catch (error) {
+        console.warn("[playground] Could not copy the output:", error.message);
+      }
+    },
+    download: (fileName, code) => downloadFile(fileName, code, "text/javascript")
+  }
+);
 const themeToggle = document.getElementById("theme-toggle");
+const explorerProblems = document.getElementById("explorer-problems");
+const explorerActions = document.querySelector(".explorer-actions");
+const contextMenu = document.getElementById("file-context-menu");
+const resetButton = document.getElementById("reset-workspace");
+const shareButton = document.getElementById("share-workspace");
+const openButton = document.getElementById("open-workspace");
+const openInput = document.getElementById("open-workspace-input");
+const exportButton = document.getElementById("export-workspace");
+
+// Runtime errors kept in the overlay, and how each kind is labelled
+const MAX_RUNTIME_ERRORS = 20;
+const RUNTIME_ERROR_LABELS = {
+  error: "Uncaught error",
+  unhandledrejection: "Unhandled promise rejection",
+  load: "Failed to load"
+};
 
 // State
 let currentRunner = null;
-let currentFile = "@/entry";
-let fileContents = new Map();
+// The active file of the focused editor pane
+let currentFile = "/src/entry.tsx";
+let focusedPane = mainPane;
+let compileOptions = { entryPoint: "@/entry", baseUrl: "/src", sourcemap: true };
+const workspace = createVirtualFileSystem();
+const serverFiles = new Map();
+let serverFilesLoaded = false;
 let fileStructure = null;
+let collapsedDirs = new Set();
+let contextMenuTarget = null;
 let compileTimeout = null;
+let saveTimeout = null;
+// Files edited since the workspace was last saved to IndexedDB
+const unsavedFiles = new Set();
 let isDarkTheme = true;
+let runtimeErrors = [];
+let typeChecker = null;
+// Bumped by every type check, so only the latest one reports
+let typeCheckRun = 0;
+// Builds the workspace with every compiler while comparing
+const comparisonView = createComparisonView(comparisonEl, { fileSystem: workspace });
 
 /**
- * File Structure Definition
- */
-const FILES = {
-  src: {
-    type: "folder",
-    children: {
-      "entry.tsx": { type: "file" },
-      components: {
-        type: "folder",
-        children: {
-          ui: {
-            type: "folder",
-            children: {
-              "button.tsx": { type: "file" }
-            }
-          }
-        }
-      },
-      lib: {
-        type: "folder",
-        children: {
-          "utils.js": { type: "file" }
-        }
-      }
+ * Fetch the server version of every file listed in the source manifest
+ * @returns {Array<{filePath: string, error: Error}>} Files that failed to load
+ */
+async function loadServerFiles() {
+  let files;
+  try {
+    files = await fetchSourceManifest("/src");
+  } catch (error) {
+    console.warn(`[playground] ${error.message}, falling back to entry only`);
+    files = ["/src/entry.tsx"];
+  }
+
+  const failed = [];
+  serverFiles.clear();
+
+  for (const filePath of files) {
+    try {
+      const data = await fetchServerVersion(filePath);
+      console.log(
+        `[playground] Loaded ${filePath}: ${data.contents.length} bytes`
+      );
+    } catch (error) {
+      console.error(`[playground] Failed to load ${filePath}:`, error.message);
+      failed.push({ filePath, error });
     }
   }
-};
+
+  serverFilesLoaded = true;
+  return failed;
+}
 
 /**
- * Fetch all files from the project
+ * Fetch the server version of a single workspace file
+ */
+async function fetchServerVersion(filePath) {
+  const modulePath = `@/${filePath.slice("/src/".length)}`;
+  const data = await fetchSourceFile(modulePath, "/src");
+  serverFiles.set(data.resolvedPath, data.contents);
+  return data;
+}
+
+/**
+ * Fill the workspace with the server version of every file
  */
 async function loadAllFiles() {
-  const files = [
-    { path: "@/entry", name: "entry.tsx" },
-    { path: "@/components/ui/button", name: "button.tsx" },
-    { path: "@/lib/utils", name: "utils.js" }
-  ];
+  const failed = await loadServerFiles();
+
+  for (const [filePath, contents] of serverFiles) {
+    workspace.writeFile(filePath, contents);
+  }
+
+  for (const { filePath, error } of failed) {
+    // Set placeholder content
+    workspace.writeFile(
+      filePath,
+      `// Error loading ${filePath.split("/").pop()}\n// ${error.message}`
+    );
+  }
+}
+
+/**
+ * Get everything that makes up the workspace (files and settings)
+ */
+function getWorkspaceState() {
+  return {
+    ...workspace.snapshot(),
+    openFile: currentFile,
+    compiler: compilerSelect.value,
+    typeCheck: typeCheckSelect.value,
+    options: compileOptions
+  };
+}
+
+/**
+ * Load a workspace state (saved, shared or opened from a file)
+ */
+function applyWorkspaceState(state) {
+  workspace.restore(state);
+  if (state.openFile && workspace.has(state.openFile)) {
+    currentFile = state.openFile;
+  }
+  if (state.compiler) {
+    compilerSelect.value = state.compiler;
+  }
+  if (TYPE_CHECK_MODES.includes(state.typeCheck)) {
+    typeCheckSelect.value = state.typeCheck;
+    applyTypeCheckMode();
+  }
+  if (state.options) {
+    compileOptions = { ...compileOptions, ...state.options };
+  }
+}
+
+/**
+ * Restore the workspace saved in IndexedDB
+ * @returns {boolean} Whether a saved workspace was restored
+ */
+async function restoreSavedWorkspace() {
+  let saved = null;
+  try {
+    saved = await loadWorkspace();
+  } catch (error) {
+    console.warn("[playground] Could not read saved workspace:", error.message);
+  }
+
+  if (!saved) return false;
+
+  applyWorkspaceState(saved);
+  console.log(`[playground] Restored workspace (${workspace.list().length} files)`);
+  return true;
+}
+
+/**
+ * Restore a workspace shared through the URL hash
+ * @returns {boolean} Whether a shared workspace was loaded
+ */
+async function restoreSharedWorkspace() {
+  const encoded = getSharedWorkspaceFromHash();
+  if (!encoded) return false;
 
-  for (const file of files) {
+  // Drop the hash so reloading keeps the (possibly edited) workspace
+  history.replaceState(null, "", window.location.pathname + window.location.search);
+
+  try {
+    const state = await decodeWorkspace(encoded);
+
+    let saved = null;
     try {
-      const data = await fetchSourceFile(file.path, "/src");
-      fileContents.set(file.path, data.contents);
-      console.log(
-        `[playground] Loaded ${file.path}: ${data.contents.length} bytes`
-      );
+      saved = await loadWorkspace();
     } catch (error) {
-      console.error(`[playground] Failed to load ${file.path}:`, error.message);
-      // Set placeholder content
-      fileContents.set(
-        file.path,
-        `// Error loading ${file.name}\n// ${error.message}`
-      );
+      // Nothing saved to lose
+    }
+    if (
+      saved &&
+      !confirm("Open the shared workspace? It replaces your saved workspace.")
+    ) {
+      return false;
+    }
+
+    applyWorkspaceState(state);
+    console.log(`[playground] Opened shared workspace (${workspace.list().length} files)`);
+    return true;
+  } catch (error) {
+    console.error("[playground] Invalid shared workspace:", error);
+    alert(`Could not open the shared workspace: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Save the workspace to IndexedDB after 1s of inactivity
+ */
+function scheduleSave() {
+  if (saveTimeout) {
+    clearTimeout(saveTimeout);
+  }
+
+  saveTimeout = setTimeout(async () => {
+    try {
+      const state = getWorkspaceState();
+      await saveWorkspace(state);
+
+      // Files edited again while saving stay unsaved
+      for (const path of unsavedFiles) {
+        if (state.files[path] === workspace.readFile(path)) unsavedFiles.delete(path);
+      }
+      refreshTabs();
+    } catch (error) {
+      console.warn("[playground] Could not save workspace:", error.message);
+    }
+  }, 1000);
+}
+
+/**
+ * Offer a file for download
+ */
+function downloadFile(fileName, contents, type = "application/octet-stream") {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Copy a permalink with the whole workspace, or download it as a file when too large
+ */
+async function shareWorkspaceAction() {
+  const state = getWorkspaceState();
+  const url = createShareUrl(await encodeWorkspace(state));
+  const sizeKb = Math.ceil(url.length / 1024);
+  const download = () =>
+    downloadFile(
+      "workspace.share.json",
+      JSON.stringify({ version: 1, ...state }),
+      "application/json"
+    );
+
+  if (url.length > SHARE_URL_MAX_LENGTH) {
+    alert(
+      `This workspace is too large for a link (${sizeKb} KB). ` +
+        "A file is downloaded instead; load it with the Open button."
+    );
+    download();
+    return;
+  }
+
+  if (
+    url.length > SHARE_URL_WARN_LENGTH &&
+    !confirm(
+      `The link is ${sizeKb} KB long and may be cut off by some apps.\n\n` +
+        "OK copies the link anyway, Cancel downloads a file instead."
+    )
+  ) {
+    download();
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    setPreviewStatus("🔗 Link copied", "success");
+  } catch (error) {
+    prompt("Copy this link:", url);
+  }
+}
+
+/**
+ * Download the workspace as a zip archive of a standalone Vite project
+ */
+async function exportWorkspaceAction() {
+  try {
+    const archive = await exportProjectZip(workspace, compileOptions);
+    downloadFile("react-wasm-project.zip", archive, "application/zip");
+  } catch (error) {
+    console.error("[playground] Export error:", error);
+    alert(`Could not export the workspace: ${error.message}`);
+  }
+}
+
+/**
+ * Open a project zip archive, or a workspace file downloaded from the Share action
+ */
+async function openWorkspaceFileAction(file) {
+  try {
+    let state;
+    if (file.name.endsWith(".zip")) {
+      const { files } = await importProjectZip(await file.arrayBuffer(), "/src");
+      // Server files missing from the archive must not leak into the build
+      state = {
+        files,
+        deleted: Array.from(serverFiles.keys()).filter((path) => !(path in files)),
+        openFile: "/src/entry.tsx"
+      };
+    } else {
+      state = validateSharedWorkspace(JSON.parse(await file.text()));
+    }
+    if (!confirm(`Replace the workspace with ${file.name}?`)) return;
+
+    applyWorkspaceState(state);
+    await reloadWorkspace();
+  } catch (error) {
+    alert(`Could not open ${file.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Refresh the UI and runner after the whole workspace was replaced
+ */
+async function reloadWorkspace() {
+  loadFile(workspace.has(currentFile) ? currentFile : "/src/entry.tsx");
+  refreshFileTree();
+  reportBrokenImports();
+
+  if (!currentRunner || currentRunner.getCapabilities().name !== compilerSelect.value) {
+    await switchRunner(compilerSelect.value);
+  } else {
+    compileApplication();
+  }
+}
+
+/**
+ * Compare a workspace file with its server version
+ * @returns {string|null} "added", "modified" or null when unchanged
+ */
+function getFileStatus(path) {
+  if (!serverFilesLoaded) return null;
+  if (!serverFiles.has(path)) return "added";
+  return serverFiles.get(path) === workspace.readFile(path) ? null : "modified";
+}
+
+/**
+ * Update the changed/added marker of a single tree item (and the editor tabs)
+ */
+function updateFileStatus(path) {
+  refreshTabs();
+  const fileItem = fileTree.querySelector(`.file-item.file[data-path="${CSS.escape(path)}"]`);
+  if (!fileItem) return;
+
+  const status = getFileStatus(path);
+  fileItem.classList.toggle("modified", status === "modified");
+  fileItem.classList.toggle("added", status === "added");
+}
+
+/**
+ * Re-render the markers of every editor tab
+ */
+function refreshTabs() {
+  editorPanes.forEach((pane) => pane.renderTabs());
+}
+
+/**
+ * Revert a single file to its server version
+ */
+async function revertFileAction(item) {
+  const path = getItemPath(item);
+  if (!confirm(`Discard your changes to ${path.slice("/src/".length)}?`)) return;
+
+  try {
+    const data = await fetchServerVersion(path);
+    // Open tabs follow the workspace (see main)
+    workspace.writeFile(path, data.contents);
+    onWorkspaceChanged();
+  } catch (error) {
+    alert(`Could not revert ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Reset the whole workspace to the server files
+ */
+async function resetWorkspaceAction() {
+  setPreviewStatus("Checking...", "loading");
+  await loadServerFiles();
+
+  // Diff the workspace against the server files
+  const modified = [];
+  const added = [];
+  for (const path of workspace.list()) {
+    const status = getFileStatus(path);
+    if (status === "modified") modified.push(path);
+    if (status === "added") added.push(path);
+  }
+  const removed = Array.from(serverFiles.keys()).filter(
+    (path) => !workspace.has(path)
+  );
+
+  const summary = [
+    ...modified.map((path) => `  modified: ${path}`),
+    ...added.map((path) => `  added:    ${path}`),
+    ...removed.map((path) => `  deleted:  ${path}`)
+  ];
+
+  if (summary.length === 0 && workspace.listDirectories().length === 0) {
+    alert("The workspace already matches the server files.");
+    compileApplication();
+    return;
+  }
+
+  if (!confirm(`Reset the workspace to the server files?\n\n${summary.join("\n")}`)) {
+    compileApplication();
+    return;
+  }
+
+  workspace.restore({ files: Object.fromEntries(serverFiles) });
+  try {
+    await clearWorkspace();
+  } catch (error) {
+    console.warn("[playground] Could not clear saved workspace:", error.message);
+  }
+
+  loadFile(workspace.has(currentFile) ? currentFile : "/src/entry.tsx");
+  onWorkspaceChanged();
+}
+
+/**
+ * Build a nested folder/file structure from a flat list of file paths
+ * Directories without files (e.g. newly created folders) are listed separately
+ */
+function buildFileTree(paths, directories = []) {
+  const root = {};
+
+  const addFolders = (parts) => {
+    let level = root;
+    for (const part of parts) {
+      if (!level[part]) {
+        level[part] = { type: "folder", children: {} };
+      }
+      level = level[part].children;
     }
+    return level;
+  };
+
+  for (const filePath of paths) {
+    const parts = filePath.split("/").filter(Boolean);
+    const level = addFolders(parts.slice(0, -1));
+    level[parts[parts.length - 1]] = { type: "file" };
+  }
+
+  for (const dirPath of directories) {
+    addFolders(dirPath.split("/").filter(Boolean));
   }
+
+  return root;
 }
 
 /**
  * Build and render file tree
  */
-function renderFileTree(structure, parentPath = "", isRoot = false) {
+function renderFileTree(structure, parentPath = "") {
   let html = "";
 
-  // If root, add src folder
-  if (isRoot) {
-    const srcChildren = structure.src.children;
-    html += `
-      <div class="file-item directory expanded" data-dir="src/">
-        📁 src/
-      </div>
-      <div class="file-children" data-dir="src/">
-        ${renderFileTree(srcChildren, "@", false)}
-      </div>
-    `;
-    return html;
-  }
+  // Folders first, then files, each alphabetically
+  const entries = Object.entries(structure).sort(([nameA, a], [nameB, b]) => {
+    if (a.type !== b.type) return a.type === "folder" ? -1 : 1;
+    return nameA.localeCompare(nameB);
+  });
 
   // Render children in folder
-  for (const [name, node] of Object.entries(structure)) {
+  for (const [name, node] of entries) {
     if (node.type === "file") {
-      // Remove extension from name for path
-      const nameWithoutExt = name.replace(/\.[^.]+$/, "");
-      const path =
-        parentPath === "@"
-          ? `@/${nameWithoutExt}`
-          : `${parentPath}/${nameWithoutExt}`;
+      // Files are keyed by their resolved workspace path
+      const path = `${parentPath}/${name}`;
+      const status = getFileStatus(path) || "";
 
       html += `
-        <div class="file-item file" data-path="${path}" data-file="${name}">
-          📄 ${name}
+        <div class="file-item file ${status}" data-path="${escapeHtml(path)}" data-file="${escapeHtml(name)}"
+          tabindex="0" draggable="true" role="treeitem">
+          ${isBinaryPath(path) ? "🖼️" : "📄"} ${escapeHtml(name)}
         </div>
       `;
     } else if (node.type === "folder") {
       // Directory item
-      const key = parentPath === "@" ? `@/${name}/` : `${parentPath}/${name}/`;
-      const displayPath =
-        parentPath === "@" ? `@/${name}` : `${parentPath}/${name}`;
+      const key = `${parentPath}/${name}/`;
+      const displayPath = `${parentPath}/${name}`;
+      const state = collapsedDirs.has(key) ? "collapsed" : "expanded";
+      const draggable = displayPath === "/src" ? "false" : "true";
 
       html += `
-        <div class="file-item directory expanded" data-dir="${key}">
-          📁 ${name}/
+        <div class="file-item directory ${state}" data-dir="${escapeHtml(key)}"
+          tabindex="0" draggable="${draggable}" role="treeitem">
+          📁 ${escapeHtml(name)}/
         </div>
-        <div class="file-children" data-dir="${key}">
-          ${renderFileTree(node.children, displayPath, false)}
+        <div class="file-children ${state === "collapsed" ? "collapsed" : ""}" data-dir="${escapeHtml(key)}">
+          ${renderFileTree(node.children, displayPath)}
         </div>
       `;
     }
@@ -136,11 +614,254 @@ function renderFileTree(structure, parentPath = "", isRoot = false) {
   return html;
 }
 
+/**
+ * Re-render the file tree from the workspace
+ */
+function refreshFileTree() {
+  fileStructure = buildFileTree(workspace.list(), workspace.listDirectories());
+  fileTree.innerHTML = renderFileTree(fileStructure);
+  updateActiveFile(currentFile);
+  refreshTabs();
+}
+
+/**
+ * Toggle a directory open or closed
+ */
+function toggleDirectory(dirItem) {
+  const dir = dirItem.dataset.dir;
+  const childrenEl = fileTree.querySelector(`.file-children[data-dir="${CSS.escape(dir)}"]`);
+  if (!childrenEl) return;
+
+  const isCollapsed = childrenEl.classList.contains("collapsed");
+  if (isCollapsed) {
+    collapsedDirs.delete(dir);
+    childrenEl.classList.remove("collapsed");
+    dirItem.classList.add("expanded");
+    dirItem.classList.remove("collapsed");
+  } else {
+    collapsedDirs.add(dir);
+    childrenEl.classList.add("collapsed");
+    dirItem.classList.remove("expanded");
+    dirItem.classList.add("collapsed");
+  }
+}
+
+/**
+ * Get the workspace path a tree item refers to (files and folders alike)
+ */
+function getItemPath(item) {
+  if (!item) return null;
+  return item.dataset.path || item.dataset.dir.replace(/\/$/, "");
+}
+
+/**
+ * Get the folder new files should go into for a tree item
+ */
+function getTargetDirectory(item) {
+  if (!item) return "/src";
+  if (item.dataset.dir) return getItemPath(item);
+  return item.dataset.path.substring(0, item.dataset.path.lastIndexOf("/"));
+}
+
+/**
+ * Turn user input into a workspace path inside /src
+ * Accepts a name relative to baseDir, or a src/-relative path starting with "/"
+ */
+function toWorkspacePath(input, baseDir) {
+  const trimmed = input.trim();
+  const joined = trimmed.startsWith("/")
+    ? `/src${trimmed}`
+    : `${baseDir}/${trimmed}`;
+  const path = `/${joined.split("/").filter(Boolean).join("/")}`;
+
+  if (!isWorkspacePath(path)) {
+    throw new Error(`Invalid path: ${trimmed}`);
+  }
+
+  return path;
+}
+
+/**
+ * Check whether a workspace path is taken by a file or folder
+ */
+function pathExists(path) {
+  return workspace.has(path) || workspace.isDirectory(path);
+}
+
+/**
+ * Refresh everything that depends on the workspace layout
+ */
+function onWorkspaceChanged() {
+  refreshFileTree();
+  reportBrokenImports();
+  scheduleCompile();
+}
+
+/**
+ * Create a new file inside a folder
+ */
+function createFileAction(baseDir) {
+  const name = prompt(`New file in ${baseDir}/`, "component.tsx");
+  if (!name) return;
+
+  try {
+    const path = toWorkspacePath(name, baseDir);
+    if (pathExists(path)) {
+      throw new Error(`${path} already exists`);
+    }
+    workspace.writeFile(path, "");
+    onWorkspaceChanged();
+    loadFile(path);
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+/**
+ * Create a new (empty) folder
+ */
+function createFolderAction(baseDir) {
+  const name = prompt(`New folder in ${baseDir}/`, "components");
+  if (!name) return;
+
+  try {
+    const path = toWorkspacePath(name, baseDir);
+    if (pathExists(path)) {
+      throw new Error(`${path} already exists`);
+    }
+    workspace.mkdir(path);
+    collapsedDirs.delete(`${path}/`);
+    onWorkspaceChanged();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+/**
+ * Rename or move a file or folder to a new workspace path
+ */
+function movePath(oldPath, newPath) {
+  if (oldPath === newPath) return;
+  if (oldPath === "/src") {
+    throw new Error("The src/ folder cannot be renamed");
+  }
+  if (newPath.startsWith(`${oldPath}/`)) {
+    throw new Error("A folder cannot be moved into itself");
+  }
+  if (pathExists(newPath)) {
+    throw new Error(`${newPath} already exists`);
+  }
+
+  // Open tabs follow the move (see main)
+  workspace.rename(oldPath, newPath);
+  onWorkspaceChanged();
+}
+
+/**
+ * Prompt for a new name (or src/-relative path, to move) for an item
+ */
+function renameAction(item) {
+  const oldPath = getItemPath(item);
+  const parentDir = oldPath.substring(0, oldPath.lastIndexOf("/"));
+  const name = prompt(
+    `Rename ${oldPath.slice("/src/".length)} (start with / to move, e.g. /lib/name.ts)`,
+    oldPath.split("/").pop()
+  );
+  if (!name) return;
+
+  try {
+    movePath(oldPath, toWorkspacePath(name, parentDir));
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+/**
+ * Delete a file or folder after confirmation
+ */
+function deleteAction(item) {
+  const path = getItemPath(item);
+  if (path === "/src") {
+    alert("The src/ folder cannot be deleted");
+    return;
+  }
+  if (!confirm(`Delete ${path.slice("/src/".length)}?`)) return;
+
+  // Tabs of deleted files close (see main)
+  workspace.remove(path);
+  onWorkspaceChanged();
+}
+
+/**
+ * Show imports that no longer resolve to a workspace file
+ */
+function reportBrokenImports() {
+  const broken = findBrokenImports(workspace, "/src");
+
+  explorerProblems.innerHTML = broken
+    .map(
+      ({ file, specifier }) => `
+        <div class="explorer-problem" data-path="${escapeHtml(file)}">
+          ⚠ ${escapeHtml(file.slice("/src/".length))}: cannot resolve "${escapeHtml(specifier)}"
+        </div>
+      `
+    )
+    .join("");
+}
+
+/**
+ * Run a context menu / keyboard action against a tree item
+ */
+function runExplorerAction(action, item) {
+  switch (action) {
+    case "new-file":
+      createFileAction(getTargetDirectory(item));
+      break;
+    case "new-folder":
+      createFolderAction(getTargetDirectory(item));
+      break;
+    case "rename":
+      if (item) renameAction(item);
+      break;
+    case "delete":
+      if (item) deleteAction(item);
+      break;
+    case "revert":
+      if (item) revertFileAction(item);
+      break;
+  }
+}
+
+/**
+ * Show the explorer context menu for a tree item (or the tree itself)
+ */
+function showContextMenu(x, y, item) {
+  contextMenuTarget = item;
+  const isRoot = !item || getItemPath(item) === "/src";
+  contextMenu.querySelector('[data-action="rename"]').disabled = isRoot;
+  contextMenu.querySelector('[data-action="delete"]').disabled = isRoot;
+  contextMenu.querySelector('[data-action="revert"]').disabled =
+    !item || !item.dataset.path || getFileStatus(item.dataset.path) !== "modified";
+
+  contextMenu.hidden = false;
+  contextMenu.style.left = `${Math.min(x, window.innerWidth - contextMenu.offsetWidth)}px`;
+  contextMenu.style.top = `${Math.min(y, window.innerHeight - contextMenu.offsetHeight)}px`;
+}
+
+/**
+ * Hide the explorer context menu
+ */
+function hideContextMenu() {
+  contextMenu.hidden = true;
+  contextMenuTarget = null;
+}
+
 /**
  * Initialize file tree UI
  */
 function initializeFileTree() {
-  fileTree.innerHTML = renderFileTree(FILES, "", true);
+  refreshFileTree();
+  reportBrokenImports();
 
   // Handle file clicks
   fileTree.addEventListener("click", (e) => {
@@ -148,34 +869,129 @@ function initializeFileTree() {
     const dirItem = e.target.closest(".file-item.directory");
 
     if (fileItem) {
-      const path = fileItem.dataset.path;
-      const fileName = fileItem.dataset.file;
-      loadFile(path, fileName);
+      loadFile(fileItem.dataset.path);
     }
 
     if (dirItem) {
-      const dir = dirItem.dataset.dir;
-      const childrenEl = document.querySelector(
-        `.file-children[data-dir="${dir}"]`
-      );
+      toggleDirectory(dirItem);
+    }
+  });
 
-      if (childrenEl) {
-        const isCollapsed = childrenEl.classList.contains("collapsed");
-        if (isCollapsed) {
-          childrenEl.classList.remove("collapsed");
-          dirItem.classList.add("expanded");
-          dirItem.classList.remove("collapsed");
-        } else {
-          childrenEl.classList.add("collapsed");
-          dirItem.classList.remove("expanded");
-          dirItem.classList.add("collapsed");
-        }
+  // Keyboard actions on the focused tree item
+  fileTree.addEventListener("keydown", (e) => {
+    const item = e.target.closest(".file-item");
+
+    if (e.altKey && e.key.toLowerCase() === "n") {
+      e.preventDefault();
+      runExplorerAction(e.shiftKey ? "new-folder" : "new-file", item);
+      return;
+    }
+    if (!item) return;
+
+    switch (e.key) {
+      case "F2":
+        e.preventDefault();
+        runExplorerAction("rename", item);
+        break;
+      case "Delete":
+        e.preventDefault();
+        runExplorerAction("delete", item);
+        break;
+      case "Enter":
+        e.preventDefault();
+        item.click();
+        break;
+      case "ArrowDown":
+      case "ArrowUp": {
+        e.preventDefault();
+        const visible = Array.from(fileTree.querySelectorAll(".file-item")).filter(
+          (el) => el.offsetParent !== null
+        );
+        const index = visible.indexOf(item);
+        const next = visible[index + (e.key === "ArrowDown" ? 1 : -1)];
+        if (next) next.focus();
+        break;
       }
     }
   });
 
-  // Load entry.tsx by default (loadFile also sets it as active)
-  loadFile("@/entry", "entry.tsx");
+  // Context menu
+  fileTree.addEventListener("contextmenu", (e) => {
+    e.preventDefault();
+    showContextMenu(e.clientX, e.clientY, e.target.closest(".file-item"));
+  });
+
+  contextMenu.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-action]");
+    if (!button || button.disabled) return;
+    const target = contextMenuTarget;
+    hideContextMenu();
+    runExplorerAction(button.dataset.action, target);
+  });
+
+  document.addEventListener("click", (e) => {
+    if (!contextMenu.contains(e.target)) hideContextMenu();
+  });
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") hideContextMenu();
+  });
+
+  // Header buttons act on the folder of the open file
+  explorerActions.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-action]");
+    if (!button) return;
+    const item = fileTree.querySelector(".file-item.active");
+    runExplorerAction(button.dataset.action, item);
+  });
+
+  // Drag and drop to move files and folders
+  fileTree.addEventListener("dragstart", (e) => {
+    const item = e.target.closest(".file-item");
+    if (!item) return;
+    e.dataTransfer.setData("text/plain", getItemPath(item));
+    e.dataTransfer.effectAllowed = "move";
+  });
+
+  fileTree.addEventListener("dragover", (e) => {
+    const dirItem = e.target.closest(".file-item.directory");
+    if (!dirItem) return;
+    e.preventDefault();
+    fileTree
+      .querySelectorAll(".drop-target")
+      .forEach((el) => el.classList.remove("drop-target"));
+    dirItem.classList.add("drop-target");
+  });
+
+  fileTree.addEventListener("dragleave", (e) => {
+    const dirItem = e.target.closest(".file-item.directory");
+    if (dirItem) dirItem.classList.remove("drop-target");
+  });
+
+  fileTree.addEventListener("drop", (e) => {
+    const dirItem = e.target.closest(".file-item.directory");
+    if (!dirItem) return;
+    e.preventDefault();
+    dirItem.classList.remove("drop-target");
+
+    const oldPath = e.dataTransfer.getData("text/plain");
+    const targetDir = getItemPath(dirItem);
+    if (!oldPath) return;
+
+    try {
+      movePath(oldPath, `${targetDir}/${oldPath.split("/").pop()}`);
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  // Clicking a broken import opens the importing file
+  explorerProblems.addEventListener("click", (e) => {
+    const problem = e.target.closest(".explorer-problem");
+    if (problem) loadFile(problem.dataset.path);
+  });
+
+  // Open the restored file, or entry.tsx by default (loadFile also sets it as active)
+  loadFile(workspace.has(currentFile) ? currentFile : "/src/entry.tsx");
 }
 
 /**
@@ -189,7 +1005,7 @@ function updateActiveFile(path) {
 
   // Add active state to selected file
   const fileItem = document.querySelector(
-    `.file-item.file[data-path="${path}"]`
+    `.file-item.file[data-path="${CSS.escape(path)}"]`
   );
   if (fileItem) {
     fileItem.classList.add("active");
@@ -197,37 +1013,118 @@ function updateActiveFile(path) {
 }
 
 /**
- * Load file content into editor
+ * Open a file in the focused editor pane
  */
-function loadFile(path, fileName = null) {
-  currentFile = path;
-  updateActiveFile(path);
+function loadFile(path) {
+  focusedPane.open(path);
+}
 
-  let content = fileContents.get(path);
-  if (!content) {
-    console.warn(`[playground] Content for ${path} not found in fileContents`);
-    console.warn(
-      `[playground] Available files:`,
-      Array.from(fileContents.keys())
-    );
-    content = `// Error: File not found\n// Path: ${path}\n\n// Available files:\n${Array.from(
-      fileContents.keys()
-    )
-      .map((f) => "// " + f)
-      .join("\n")}`;
+/**
+ * Open a file and move the caret to a line and column (both one-based)
+ */
+function revealFile(path, line, column) {
+  loadFile(path);
+  focusedPane.reveal(line, column);
+}
+
+/**
+ * Follow the focused pane's active file: tree highlight, markers, saved state
+ * Closing the side pane's last tab closes the split.
+ */
+function activatePane(pane) {
+  if (pane === sidePane && !pane.getActive()) {
+    setSplit(false);
+    pane = mainPane;
+  }
+
+  focusedPane = pane;
+  currentFile = pane.getActive() || "";
+  updateActiveFile(currentFile);
+  updateEditorMarkers();
+  scheduleSave();
+}
+
+/**
+ * Show or hide the side editor pane, which opens on the current file
+ */
+function setSplit(split) {
+  if (split === !sidePaneElement.hidden || (split && !currentFile)) return;
+
+  sidePaneElement.hidden = !split;
+  splitToggle.classList.toggle("active", split);
+  splitToggle.title = split ? "Close split editor" : "Split editor";
+
+  if (split) {
+    sidePane.open(currentFile);
+  } else {
+    sidePane.closeAll();
   }
+}
+
+/**
+ * Render the runtime errors in the overlay over the preview
+ * Stacks are mapped to workspace files; repeated errors are counted, not listed again.
+ */
+function renderErrorOverlay() {
+  const html = runtimeErrors.map(({ kind, message, stack, count }) => {
+    const frames = currentRunner ? currentRunner.mapStackTrace(stack) : [];
+    const frameHtml = frames
+      .map((frame) => {
+        const location = `${frame.file}:${frame.line}:${frame.column}`;
+        const label = frame.functionName
+          ? `at ${frame.functionName} (${location})`
+          : `at ${location}`;
+        // Only frames in workspace files can be opened in the editor
+        const mapped = frame.mapped && workspace.has(frame.file);
+        return `<button class="stack-frame ${mapped ? "mapped" : ""}" ${
+          mapped
+            ? `data-file="${escapeHtml(frame.file)}" data-line="${frame.line}" data-column="${frame.column}"`
+            : "disabled"
+        }>${escapeHtml(label)}</button>`;
+      })
+      .join("");
 
-  codeEditor.value = content;
+    return `
+      <div class="runtime-error">
+        <div class="runtime-error-kind">
+          ${RUNTIME_ERROR_LABELS[kind] || RUNTIME_ERROR_LABELS.error}${count > 1 ? ` (×${count})` : ""}
+        </div>
+        <div class="runtime-error-message">${escapeHtml(message)}</div>
+        ${frameHtml}
+      </div>
+    `;
+  });
 
-  // Update syntax highlighting
-  updateSyntaxHighlight();
+  errorOverlayList.innerHTML = html.join("");
+  errorOverlayTitle.textContent =
+    runtimeErrors.length > 1 ? `${runtimeErrors.length} Runtime Errors` : "Runtime Error";
+  errorOverlay.hidden = runtimeErrors.length === 0;
+}
+
+/**
+ * Record an uncaught error reported by the preview iframe
+ */
+function showRuntimeError({ kind = "error", message, stack }) {
+  const existing = runtimeErrors.find(
+    (error) => error.kind === kind && error.message === message && error.stack === stack
+  );
+  if (existing) {
+    existing.count++;
+  } else {
+    runtimeErrors.push({ kind, message, stack, count: 1 });
+    if (runtimeErrors.length > MAX_RUNTIME_ERRORS) runtimeErrors.shift();
+  }
 
-  // Update header with filename (use provided fileName or extract from path)
-  const displayName = fileName || path.split("/").pop() || path;
-  editorHeader.textContent = displayName;
+  renderErrorOverlay();
+  setPreviewStatus("✗ Runtime error", "error");
+}
 
-  // Focus editor
-  codeEditor.focus();
+/**
+ * Dismiss the error overlay (the preview keeps running)
+ */
+function clearRuntimeErrors() {
+  runtimeErrors = [];
+  renderErrorOverlay();
 }
 
 /**
@@ -244,92 +1141,203 @@ function setPreviewStatus(message, type = "loading") {
 async function compileApplication() {
   try {
     setPreviewStatus("Compiling...", "loading");
+    clearRuntimeErrors();
+    consolePanel.clear();
+
+    // The comparison builds with its own runners, alongside the preview
+    if (!comparisonEl.hidden) {
+      comparisonView.run({ ...compileOptions, themeColors: getThemeColors() });
+    }
 
     if (!currentRunner) {
       setPreviewStatus("Error", "error");
       return;
     }
 
+    // Type errors keep the preview from running in block mode
+    const typeCheck = runTypeCheck();
+    if (typeCheckSelect.value === "block") {
+      const diagnostics = await typeCheck;
+      // A newer compile is on its way
+      if (!diagnostics) return;
+
+      const { errors } = countDiagnostics(diagnostics);
+      if (errors > 0) {
+        // The compile did not run, so its problems are out of date
+        problemsPanel.setDiagnostics("compile", []);
+        updateEditorMarkers();
+        setPreviewStatus(`✗ ${errors} type error${errors === 1 ? "" : "s"}`, "error");
+        showBuildError(
+          "Type Errors:",
+          diagnostics
+            .filter(({ severity }) => severity === "error")
+            .map(formatDiagnostic)
+            .join("\n")
+        );
+        return;
+      }
+    }
+
     const themeColors = getThemeColors();
 
-    // Compile and run
-    await currentRunner.compileAndRun({
-      entryPoint: "@/entry",
-      baseUrl: "/src",
-      themeColors: themeColors
+    // Compile and run (runners that support it update the preview in place)
+    const { output, diagnostics } = await currentRunner.compileAndRun({
+      ...compileOptions,
+      themeColors: themeColors,
+      hot: true
     });
+    outputView.setOutput(output);
+    problemsPanel.setDiagnostics("compile", diagnostics);
+    updateEditorMarkers();
 
-    setPreviewStatus("✓ Success", "success");
+    const { warnings } = countDiagnostics(diagnostics);
+    setPreviewStatus(
+      warnings > 0 ? `✓ Success, ${warnings} warning${warnings === 1 ? "" : "s"}` : "✓ Success",
+      "success"
+    );
   } catch (error) {
     console.error("[playground] Compile error:", error);
     setPreviewStatus("✗ Error", "error");
+    showBuildError("Compilation Error:", error.message);
 
-    // Display error in preview
-    rootEl.innerHTML = `
-      <div style="
-        padding: 20px;
-        background: #09090b;
-        color: #ff6b6b;
-        border-radius: 4px;
-        font-family: monospace;
-        font-size: 12px;
-        max-height: 100%;
-        overflow-y: auto;
-      ">
-        <strong>Compilation Error:</strong>
-        <pre style="margin-top: 8px; white-space: pre-wrap; word-break: break-word; color: #ffa8a8;">
-${escapeHtml(error.message)}
-        </pre>
-      </div>
-    `;
+    // Errors thrown by the runner itself (e.g. its worker failed) carry no diagnostics
+    problemsPanel.setDiagnostics("compile", getErrorDiagnostics(error, compilerSelect.value));
+    updateEditorMarkers();
+  }
+}
+
+/**
+ * Display a build error in place of the preview
+ */
+function showBuildError(title, message) {
+  rootEl.innerHTML = `
+    <div style="
+      padding: 20px;
+      background: #09090b;
+      color: #ff6b6b;
+      border-radius: 4px;
+      font-family: monospace;
+      font-size: 12px;
+      max-height: 100%;
+      overflow-y: auto;
+    ">
+      <strong>${escapeHtml(title)}</strong>
+      <pre style="margin-top: 8px; white-space: pre-wrap; word-break: break-word; color: #ffa8a8;">
+${escapeHtml(message)}
+      </pre>
+    </div>
+  `;
+}
+
+/**
+ * Type check the workspace and list the problems (unless type checking is off)
+ * @returns {Promise<Array<Object>|null>} Diagnostics, or null if off or a newer check started
+ */
+async function runTypeCheck() {
+  if (typeCheckSelect.value === "off") return null;
+
+  if (!typeChecker) {
+    typeChecker = createTypeChecker({ fileSystem: workspace });
+  }
+  const run = ++typeCheckRun;
+  problemsPanel.setStatus("Checking types…");
+
+  let diagnostics;
+  try {
+    diagnostics = await typeChecker.check({ baseUrl: compileOptions.baseUrl });
+  } catch (error) {
+    console.error("[playground] Type check error:", error);
+    diagnostics = [
+      createDiagnostic({
+        source: "typescript",
+        severity: "warning",
+        message: `Type checking failed: ${error.message}`
+      })
+    ];
   }
+
+  if (run !== typeCheckRun) return null;
+  problemsPanel.setStatus("");
+  problemsPanel.setDiagnostics("typescript", diagnostics);
+  updateEditorMarkers();
+  return diagnostics;
 }
 
 /**
- * Escape HTML for safe display
+ * Stop the checker and drop its problems when type checking is turned off
+ * (otherwise the next compile checks)
  */
-function escapeHtml(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
+function applyTypeCheckMode() {
+  if (typeCheckSelect.value !== "off") return;
+
+  // Drop the results of a check still running
+  typeCheckRun++;
+  if (typeChecker) {
+    typeChecker.dispose();
+    typeChecker = null;
+  }
+  problemsPanel.setStatus("");
+  problemsPanel.setDiagnostics("typescript", []);
+  updateEditorMarkers();
 }
 
 /**
  * Handle code changes with debounce
  */
-codeEditor.addEventListener("input", () => {
-  // Update file contents
-  fileContents.set(currentFile, codeEditor.value);
+function handleEditorChange(path, text) {
+  // Update the workspace the runners compile from (and other tabs of the file)
+  workspace.writeFile(path, text);
+  unsavedFiles.add(path);
+  updateFileStatus(path);
 
-  // Update syntax highlighting
-  updateSyntaxHighlight();
+  scheduleCompile();
+}
 
+/**
+ * Recompile after 500ms of inactivity
+ */
+function scheduleCompile() {
   // Clear existing timeout
   if (compileTimeout) {
     clearTimeout(compileTimeout);
   }
 
-  // Compile after 500ms of inactivity
   compileTimeout = setTimeout(() => {
+    reportBrokenImports();
     compileApplication();
   }, 500);
+}
+
+/**
+ * Handle compiler change
+ */
+compilerSelect.addEventListener("change", (event) => {
+  switchRunner(event.target.value);
 });
 
 /**
- * Sync scroll for syntax highlighting
+ * Handle type check mode change
  */
-codeEditor.addEventListener("scroll", syncScroll);
+typeCheckSelect.addEventListener("change", () => {
+  applyTypeCheckMode();
+  scheduleSave();
+  compileApplication();
+});
 
 /**
- * Handle compiler change
+ * Create and initialize a runner, then recompile with it
  */
-compilerSelect.addEventListener("change", async (event) => {
+async function switchRunner(compilerType) {
   try {
-    const compilerType = event.target.value;
     setPreviewStatus("Switching...", "loading");
 
-    currentRunner = await createRunner(compilerType);
+    if (currentRunner) {
+      currentRunner.dispose();
+      currentRunner = null;
+    }
+    currentRunner = await createRunner(compilerType, { fileSystem: workspace });
     await currentRunner.initialize();
+    scheduleSave();
 
     // Recompile with new compiler
     setTimeout(() => {
@@ -339,6 +1347,105 @@ compilerSelect.addEventListener("change", async (event) => {
     console.error("[playground] Compiler error:", error);
     setPreviewStatus("✗ Error", "error");
   }
+}
+
+/**
+ * Switch between the live preview and the generated code
+ */
+previewTabs.addEventListener("click", (event) => {
+  const tab = event.target.closest(".preview-tab");
+  if (!tab) return;
+
+  for (const item of previewTabs.querySelectorAll(".preview-tab")) {
+    item.classList.toggle("active", item === tab);
+    item.setAttribute("aria-selected", String(item === tab));
+  }
+  outputEl.hidden = tab.dataset.view !== "output";
+  if (!outputEl.hidden) outputView.refresh();
+});
+
+/**
+ * Show every compiler's preview side by side, or go back to the selected one
+ */
+compareToggle.addEventListener("click", () => {
+  const comparing = comparisonEl.hidden;
+  comparisonEl.hidden = !comparing;
+  compareToggle.classList.toggle("active", comparing);
+
+  if (comparing) {
+    comparisonView.run({ ...compileOptions, themeColors: getThemeColors() });
+  } else {
+    // Stop the comparison's runners (their workers hold a compiler each)
+    comparisonView.dispose();
+  }
+});
+
+/**
+ * Handle workspace reset
+ */
+resetButton.addEventListener("click", () => {
+  resetWorkspaceAction();
+});
+
+/**
+ * Handle sharing and opening workspaces
+ */
+shareButton.addEventListener("click", () => {
+  shareWorkspaceAction();
+});
+
+exportButton.addEventListener("click", () => {
+  exportWorkspaceAction();
+});
+
+openButton.addEventListener("click", () => {
+  openInput.click();
+});
+
+openInput.addEventListener("change", () => {
+  const [file] = openInput.files;
+  openInput.value = "";
+  if (file) openWorkspaceFileAction(file);
+});
+
+// Uncaught errors and console output reported by the preview iframe
+window.addEventListener("message", (event) => {
+  if (comparisonView.handleMessage(event)) return;
+  if (!isPreviewMessage(event, rootEl)) return;
+  if (consolePanel.handleMessage(event.data)) return;
+  if (event.data.type === "error") {
+    showRuntimeError(event.data);
+  }
+});
+
+errorOverlayDismiss.addEventListener("click", clearRuntimeErrors);
+
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && !errorOverlay.hidden) {
+    clearRuntimeErrors();
+  }
+});
+
+// Clicking a mapped stack frame opens the file at that position
+errorOverlayList.addEventListener("click", (e) => {
+  const frame = e.target.closest(".stack-frame.mapped");
+  if (!frame) return;
+
+  const { file, line, column } = frame.dataset;
+  revealFile(file, Number(line), Number(column));
+});
+
+window.addEventListener("hashchange", async () => {
+  if (await restoreSharedWorkspace()) {
+    await reloadWorkspace();
+  }
+});
+
+/**
+ * Handle split editor toggle
+ */
+splitToggle.addEventListener("click", () => {
+  setSplit(sidePaneElement.hidden);
 });
 
 /**
@@ -375,6 +1482,8 @@ function applyTheme() {
   }
 
   localStorage.setItem("react-wasm-compiler-theme", isDarkTheme ? "dark" : "light");
+  editorPanes.forEach((pane) => pane.setTheme(isDarkTheme));
+  outputView.setTheme(isDarkTheme);
 
   // Recompile to apply theme to React app
   compileApplication();
@@ -384,57 +1493,25 @@ function applyTheme() {
  * Get current theme colors
  */
 function getThemeColors() {
-  if (isDarkTheme) {
-    return {
-      bg: "#000000",
-      text: "#fafafa",
-      muted: "#e4e4e7",
-      code: "#a1a1a6",
-      codeBg: "#18181b"
-    };
-  } else {
-    return {
-      bg: "#ffffff",
-      text: "#1f2937",
-      muted: "#6b7280",
-      code: "#374151",
-      codeBg: "#f3f4f6"
-    };
-  }
+  return isDarkTheme ? THEME_COLORS.dark : THEME_COLORS.light;
 }
 
 /**
- * Update syntax highlighting based on editor content
+ * Underline the problems of the file shown in each editor pane
  */
-function updateSyntaxHighlight() {
-  const code = codeEditor.value;
-  const language = currentFile.endsWith('.js') ? 'js' : 'typescript';
-
-  // If highlight.js isn't loaded yet, just show plaintext
-  if (!window.hljs) {
-    codeHighlight.textContent = code;
-    return;
-  }
-
-  try {
-    // Use highlight.js to highlight the code
-    const highlighted = window.hljs.highlight(code, { language }).value;
-    codeHighlight.innerHTML = highlighted;
-  } catch (err) {
-    // Fallback if highlighting fails
-    console.warn("[playground] Syntax highlighting error:", err);
-    codeHighlight.textContent = code;
-  }
+function updateEditorMarkers() {
+  editorPanes.forEach((pane) => pane.setDiagnostics(problemsPanel.getDiagnostics(pane.getActive())));
 }
 
 /**
- * Sync scroll between editor and highlight
+ * Show the message of the problem under the caret below the editor
  */
-function syncScroll() {
-  const editorWrapper = codeEditor.parentElement;
-  const highlightPre = editorWrapper.querySelector('.editor-highlight');
-  highlightPre.scrollTop = codeEditor.scrollTop;
-  highlightPre.scrollLeft = codeEditor.scrollLeft;
+function showCursorDiagnostic(diagnostic) {
+  editorDiagnostic.hidden = !diagnostic;
+  if (diagnostic) {
+    editorDiagnostic.className = `editor-diagnostic severity-${diagnostic.severity}`;
+    editorDiagnostic.textContent = `${diagnostic.source}: ${diagnostic.message}`;
+  }
 }
 
 /**
@@ -445,18 +1522,38 @@ async function main() {
     // Initialize theme first
     initializeTheme();
 
-    // Load all files
-    await loadAllFiles();
+    // Open a shared link, restore the saved workspace, or load all files from the server
+    const restored =
+      (await restoreSharedWorkspace()) || (await restoreSavedWorkspace());
+    if (restored) {
+      // Server versions are still needed to mark changed files
+      await loadServerFiles();
+    } else {
+      await loadAllFiles();
+    }
+
+    // Persist every workspace change from here on
+    workspace.subscribe(scheduleSave);
+
+    // Keep open tabs in step with the workspace
+    workspace.subscribe(({ type, path, newPath }) => {
+      for (const pane of editorPanes) {
+        if (type === "rename") {
+          pane.rename(path, newPath);
+        } else {
+          pane.sync(path);
+        }
+      }
+    });
 
     // Initialize file tree (automatically loads entry.tsx)
     initializeFileTree();
 
-    // Initial syntax highlighting
-    updateSyntaxHighlight();
-
     // Initialize runner
     const initialCompiler = compilerSelect.value || "esbuild";
-    currentRunner = await createRunner(initialCompiler);
+    currentRunner = await createRunner(initialCompiler, {
+      fileSystem: workspace
+    });
     await currentRunner.initialize();
 
     // Initial compilation
@@ -0,0 +1,270 @@
+/**
+ * Preview Runtime
+ * Script injected into the preview iframe ahead of the bundle, the message
+ * channel it uses to talk to the playground, and mounting of the iframe itself
+ */
+
+/**
+ * Marks messages exchanged with the preview iframe
+ */
+export const PREVIEW_MESSAGE_SOURCE = "react-wasm-preview";
+
+const HOT_UPDATE_TIMEOUT = 3000;
+let hotUpdateId = 0;
+
+/**
+ * Create the bootstrap script for the preview iframe
+ * Runs as a classic script before the bundle. It posts to the parent window:
+ *
+ * - { type: "error", kind, message, stack } for uncaught errors from module
+ *   evaluation, event handlers, React rendering (React 19 reports uncaught
+ *   render errors through reportError()), rejected promises ("unhandledrejection")
+ *   and scripts that fail to load ("load")
+ * - { type: "console", method, level, args } for console.log/info/warn/error/debug/table
+ * - { type: "console-clear" } for console.clear()
+ * - { type: "eval-result", id, value, error } in reply to { type: "eval", id, expression }
+ *
+ * Values are sent as serialized descriptors ({ t: "string" | "number" | "object" | ... });
+ * see serialize() below. Cycles, DOM nodes and React elements are described, not cloned.
+ */
+export function createPreviewRuntimeScript() {
+  return `(() => {
+  const SOURCE = ${JSON.stringify(PREVIEW_MESSAGE_SOURCE)};
+  const MAX_DEPTH = 4;
+  const MAX_ENTRIES = 100;
+  const REACT_ELEMENT_TYPES = [Symbol.for("react.transitional.element"), Symbol.for("react.element")];
+  const CONSOLE_LEVELS = { log: "log", info: "info", warn: "warn", error: "error", debug: "log", table: "log" };
+
+  const post = (message) => window.parent.postMessage(Object.assign({ source: SOURCE }, message), "*");
+
+  const componentName = (type) => {
+    if (typeof type === "string") return type;
+    if (typeof type === "symbol") return "Fragment";
+    return (type && (type.displayName || type.name)) || "Anonymous";
+  };
+
+  const describeNode = (node) => {
+    if (node.nodeType === 1) {
+      const id = node.id ? ' id="' + node.id + '"' : "";
+      const className = typeof node.className === "string" && node.className ? ' class="' + node.className + '"' : "";
+      return "<" + node.tagName.toLowerCase() + id + className + ">";
+    }
+    if (node.nodeType === 3) return '"' + node.textContent + '"';
+    return node.nodeName;
+  };
+
+  const readProperty = (object, key) => {
+    try {
+      return object[key];
+    } catch (error) {
+      return error;
+    }
+  };
+
+  const serialize = (value, depth = 0, ancestors = new Set()) => {
+    switch (typeof value) {
+      case "string": return { t: "string", v: value };
+      case "number": return { t: "number", v: Object.is(value, -0) ? "-0" : String(value) };
+      case "boolean": return { t: "boolean", v: String(value) };
+      case "undefined": return { t: "undefined" };
+      case "bigint": return { t: "bigint", v: value + "n" };
+      case "symbol": return { t: "symbol", v: String(value) };
+      case "function": return { t: "function", v: value.name || "anonymous" };
+    }
+    if (value === null) return { t: "null" };
+    if (ancestors.has(value)) return { t: "circular" };
+
+    if (REACT_ELEMENT_TYPES.includes(value.$$typeof)) {
+      const element = { t: "react", v: componentName(value.type), entries: null };
+      if (depth < MAX_DEPTH) {
+        ancestors.add(value);
+        element.entries = Object.keys(value.props || {}).slice(0, MAX_ENTRIES)
+          .map((key) => [key, serialize(value.props[key], depth + 1, ancestors)]);
+        ancestors.delete(value);
+      }
+      return element;
+    }
+    if (typeof Node !== "undefined" && value instanceof Node) return { t: "dom", v: describeNode(value) };
+    if (value instanceof Error) return { t: "error", name: value.name, v: String(value.message), stack: String(value.stack || "") };
+    if (value instanceof Date) return { t: "date", v: isNaN(value) ? "Invalid Date" : value.toISOString() };
+    if (value instanceof RegExp) return { t: "regexp", v: String(value) };
+
+    const isArray = Array.isArray(value);
+    const prototype = Object.getPrototypeOf(value);
+    let name = isArray ? "Array(" + value.length + ")" : (prototype && prototype.constructor && prototype.constructor.name) || "Object";
+    if (value instanceof Map || value instanceof Set) name += "(" + value.size + ")";
+    if (depth >= MAX_DEPTH) return { t: isArray ? "array" : "object", name, entries: null };
+
+    ancestors.add(value);
+    let entries;
+    if (value instanceof Map) {
+      entries = Array.from(value).map(([key, item]) =>
+        [key !== null && typeof key === "object" ? "{…}" : String(key), item]);
+    } else if (value instanceof Set) {
+      entries = Array.from(value).map((item, index) => [String(index), item]);
+    } else {
+      entries = Object.keys(value).map((key) => [key, readProperty(value, key)]);
+    }
+    const result = {
+      t: isArray ? "array" : "object",
+      name,
+      entries: entries.slice(0, MAX_ENTRIES).map(([key, item]) => [key, serialize(item, depth + 1, ancestors)]),
+      more: Math.max(0, entries.length - MAX_ENTRIES)
+    };
+    ancestors.delete(value);
+    return result;
+  };
+
+  const report = (kind, error, fallbackMessage) => {
+    const message = error && error.message !== undefined ? error.message : fallbackMessage || error;
+    post({
+      type: "error",
+      kind,
+      message: String(message),
+      stack: error && error.stack ? String(error.stack) : ""
+    });
+  };
+  window.addEventListener("error", (event) => {
+    // Resource errors do not bubble; catch failed <script> loads while capturing
+    if (event.target !== window) {
+      if (event.target && event.target.tagName === "SCRIPT") {
+        report("load", null, "Failed to load script " + (event.target.src || "(inline module imports)"));
+      }
+      return;
+    }
+    report("error", event.error, event.message);
+  }, true);
+  window.addEventListener("unhandledrejection", (event) => report("unhandledrejection", event.reason));
+
+  for (const method of Object.keys(CONSOLE_LEVELS)) {
+    const original = console[method];
+    console[method] = function (...args) {
+      try {
+        post({ type: "console", method, level: CONSOLE_LEVELS[method], args: args.map((arg) => serialize(arg)) });
+      } catch (error) {
+        // Never let reporting break the app's own logging
+      }
+      return original.apply(this, args);
+    };
+  }
+  const originalClear = console.clear;
+  console.clear = function () {
+    post({ type: "console-clear" });
+    return originalClear.apply(this, arguments);
+  };
+
+  // Expressions from the console panel run in the preview's global scope
+  window.addEventListener("message", async (event) => {
+    const data = event.data;
+    if (event.source !== window.parent || !data || data.source !== SOURCE || data.type !== "eval") return;
+    try {
+      let result = (0, eval)(data.expression);
+      if (result && typeof result.then === "function") result = await result;
+      post({ type: "eval-result", id: data.id, value: serialize(result), error: false });
+    } catch (error) {
+      post({ type: "eval-result", id: data.id, value: serialize(error), error: true });
+    }
+  });
+})();`;
+}
+
+/**
+ * Check whether a message event came from the preview iframe inside a container
+ */
+export function isPreviewMessage(event, container) {
+  const iframe = container && container.querySelector("iframe");
+  return (
+    !!iframe &&
+    event.source === iframe.contentWindow &&
+    event.data &&
+    event.data.source === PREVIEW_MESSAGE_SOURCE
+  );
+}
+
+/**
+ * Post a message to the preview iframe inside a container
+ * @returns {boolean} Whether there was a preview to post to
+ */
+export function postToPreview(container, message) {
+  const iframe = container && container.querySelector("iframe");
+  if (!iframe || !iframe.contentWindow) return false;
+
+  iframe.contentWindow.postMessage(
+    { source: PREVIEW_MESSAGE_SOURCE, ...message },
+    "*"
+  );
+  return true;
+}
+
+/**
+ * Replace the contents of a container (by default #root) with a sandboxed
+ * preview iframe
+ * @param {string} html - Preview document (see WasmRunner.buildPreview)
+ * @param {HTMLElement} rootEl - Container of the preview
+ * @returns {HTMLIFrameElement} The new iframe
+ */
+export function mountPreview(html, rootEl = document.getElementById("root")) {
+  if (!rootEl) {
+    throw new Error("No root element found");
+  }
+
+  // Clear previous content
+  rootEl.innerHTML = "";
+
+  // Create iframe for sandboxed execution
+  const iframe = document.createElement("iframe");
+  iframe.srcdoc = html;
+  iframe.style.border = "none";
+  iframe.style.width = "100%";
+  iframe.style.height = "100%";
+  iframe.style.minHeight = "400px";
+
+  // Add necessary sandbox permissions
+  // Note: We allow scripts but NOT allow-same-origin to prevent sandbox escape
+  iframe.sandbox.add("allow-scripts");
+  iframe.sandbox.add("allow-popups");
+  iframe.sandbox.add("allow-forms");
+
+  rootEl.appendChild(iframe);
+  return iframe;
+}
+
+/**
+ * Post a hot update to a preview iframe and wait for it to report back
+ * @param {HTMLIFrameElement} iframe - Preview iframe
+ * @param {Object} update - { modules, removed }
+ * @returns {Promise<Object>} { applied, message }
+ */
+export function postHotUpdate(iframe, update) {
+  const id = ++hotUpdateId;
+
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      clearTimeout(timer);
+      window.removeEventListener("message", onMessage);
+      resolve(result);
+    };
+    const onMessage = (event) => {
+      const data = event.data;
+      if (
+        event.source === iframe.contentWindow &&
+        data &&
+        data.source === PREVIEW_MESSAGE_SOURCE &&
+        data.type === "hot-update-result" &&
+        data.id === id
+      ) {
+        finish({ applied: data.applied, message: data.message });
+      }
+    };
+    const timer = setTimeout(
+      () => finish({ applied: false, message: "no response from the preview" }),
+      HOT_UPDATE_TIMEOUT
+    );
+
+    window.addEventListener("message", onMessage);
+    iframe.contentWindow.postMessage(
+      { source: PREVIEW_MESSAGE_SOURCE, type: "hot-update", id, ...update },
+      "*"
+    );
+  });
+}
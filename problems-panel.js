@@ -0,0 +1,96 @@
+/**
+ * Problems Panel
+ * Lists diagnostics (see diagnostics.js) under the editor, grouped by file.
+ * Each reporter (the compiler, the type checker) replaces only its own
+ * diagnostics.
+ */
+
+import { compareDiagnostics, countDiagnostics, formatPosition } from "./diagnostics.js";
+import { escapeHtml } from "./html.js";
+
+const SEVERITY_ICONS = { error: "✗", warning: "⚠" };
+
+/**
+ * Create the problems panel
+ * @param {Object} elements - { list, summary }
+ * @param {Object} callbacks - { open(diagnostic) } called when a problem is clicked
+ * @returns {Object} Panel API
+ */
+export function createProblemsPanel(elements, callbacks) {
+  const { list, summary } = elements;
+  // Reporter → its diagnostics
+  const reported = new Map();
+  let problems = [];
+  let status = "";
+
+  const render = () => {
+    problems = [...reported.values()].flat().sort(compareDiagnostics);
+
+    const { errors, warnings } = countDiagnostics(problems);
+    summary.textContent = [status, `${SEVERITY_ICONS.error} ${errors}`, `${SEVERITY_ICONS.warning} ${warnings}`]
+      .filter(Boolean)
+      .join("  ");
+
+    if (problems.length === 0) {
+      list.innerHTML = `<div class="problems-empty">No problems</div>`;
+      return;
+    }
+
+    let file;
+    list.innerHTML = problems
+      .map((problem, index) => {
+        const header =
+          problem.file !== file
+            ? `<div class="problems-file">${escapeHtml(problem.file || "Workspace")}</div>`
+            : "";
+        file = problem.file;
+
+        const location = problem.file ? formatPosition(problem) : "";
+        const position = location ? ` (${location})` : "";
+        return `${header}
+          <button class="problem severity-${problem.severity}" data-index="${index}" ${
+            problem.file ? "" : "disabled"
+          }>
+            <span class="problem-icon">${SEVERITY_ICONS[problem.severity]}</span>
+            <span class="problem-message">${escapeHtml(problem.message)}</span>
+            <span class="problem-meta">${escapeHtml(problem.code || problem.source)}${position}</span>
+          </button>`;
+      })
+      .join("");
+  };
+
+  list.addEventListener("click", (event) => {
+    const item = event.target.closest(".problem");
+    if (!item) return;
+    callbacks.open(problems[Number(item.dataset.index)]);
+  });
+
+  render();
+
+  return {
+    /**
+     * Replace the diagnostics of one reporter
+     * @param {string} reporter - 'compile' or 'typescript'
+     * @param {Array<Object>} diagnostics
+     */
+    setDiagnostics(reporter, diagnostics) {
+      reported.set(reporter, diagnostics);
+      render();
+    },
+
+    /**
+     * Show what is running (e.g. "Checking types…"), or nothing
+     */
+    setStatus(text) {
+      status = text;
+      render();
+    },
+
+    /**
+     * Get the diagnostics of a file, from every reporter
+     */
+    getDiagnostics(file) {
+      return problems.filter((problem) => problem.file === file);
+    }
+  };
+}
@@ -0,0 +1,236 @@
+/**
+ * Project Export/Import
+ * Converts the workspace to and from a standalone Vite project archive
+ */
+
+import { createZip, readZip } from "./zip.js";
+import {
+  readWorkspaceFile,
+  isBinaryPath,
+  getMimeType,
+  bytesToDataUrl,
+  dataUrlToBytes,
+  isAssetDataUrl,
+  isWorkspacePath
+} from "./file-loader.js";
+import { PACKAGE_JSON, readWorkspacePackage } from "./package-resolver.js";
+import { createRuntimeConfig } from "./runtime-config.js";
+
+// Project files generated on export; skipped on import
+const GENERATED_FILES = [
+  "package.json",
+  "package-lock.json",
+  "tsconfig.json",
+  "index.html",
+  "vite.config.js",
+  "vite.config.ts"
+];
+
+// Provided by the scaffold, whatever the workspace's package.json says
+const SCAFFOLD_DEPENDENCIES = ["react", "react-dom"];
+
+/**
+ * Generate the project scaffolding around the workspace sources
+ * @param {Object} workspacePackage - The workspace's package.json (see readWorkspacePackage)
+ */
+function createProjectScaffold(name, entryFile, workspacePackage) {
+  // The same React the preview runs, from the CDN rather than local copies
+  const runtimeConfig = createRuntimeConfig({ source: "cdn", workspacePackage });
+
+  const packageJson = {
+    name,
+    private: true,
+    version: "0.0.0",
+    type: "module",
+    scripts: {
+      dev: "vite",
+      build: "vite build",
+      preview: "vite preview"
+    },
+    dependencies: {
+      ...workspacePackage.dependencies,
+      react: runtimeConfig.versions.react,
+      "react-dom": runtimeConfig.versions["react-dom"]
+    },
+    devDependencies: {
+      vite: "^7.0.0"
+    },
+    // Kept so the overrides survive a round trip through importProjectZip
+    runtime: workspacePackage.runtime
+  };
+
+  const tsconfig = {
+    compilerOptions: {
+      target: "ES2020",
+      module: "ESNext",
+      jsx: "react-jsx",
+      strict: false,
+      esModuleInterop: true,
+      skipLibCheck: true,
+      moduleResolution: "bundler",
+      resolveJsonModule: true,
+      baseUrl: ".",
+      paths: {
+        "@/*": ["src/*"]
+      }
+    },
+    include: ["src"]
+  };
+
+  const indexHtml = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${name}</title>
+    <script type="importmap">
+${JSON.stringify(runtimeConfig.importMap, null, 2).replace(/^/gm, "      ")}
+    </script>
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="module" src="${entryFile}"></script>
+  </body>
+</html>
+`;
+
+  const viteConfig = `import { defineConfig } from "vite";
+import { fileURLToPath } from "url";
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      "@": fileURLToPath(new URL("./src", import.meta.url))
+    }
+  }
+});
+`;
+
+  return [
+    { path: "package.json", data: `${JSON.stringify(packageJson, null, 2)}\n` },
+    { path: "tsconfig.json", data: `${JSON.stringify(tsconfig, null, 2)}\n` },
+    { path: "index.html", data: indexHtml },
+    { path: "vite.config.js", data: viteConfig }
+  ];
+}
+
+/**
+ * Export the workspace as a zip archive of a standalone Vite project
+ * @param {Object} fileSystem - The workspace file system
+ * @param {Object} options - { name, entryPoint, baseUrl }
+ * @returns {Uint8Array} The archive bytes
+ */
+export async function exportProjectZip(fileSystem, options = {}) {
+  const {
+    name = "react-wasm-project",
+    entryPoint = "@/entry",
+    baseUrl = "/src"
+  } = options;
+
+  const entry = readWorkspaceFile(entryPoint, baseUrl, fileSystem);
+  const entryFile = entry ? entry.resolvedPath : `${baseUrl}/entry.tsx`;
+
+  // The workspace's package.json becomes the project's package.json
+  const workspacePackage = await readWorkspacePackage({ baseUrl, fileSystem });
+  const packagePath = workspacePackage.path;
+
+  // Binary assets live in the workspace as data URLs; write their bytes
+  const sources = fileSystem.list().filter((path) => path !== packagePath).map((path) => {
+    const contents = fileSystem.readFile(path);
+    return {
+      path: path.slice(1),
+      data:
+        isBinaryPath(path) && contents.startsWith("data:")
+          ? dataUrlToBytes(contents)
+          : contents
+    };
+  });
+
+  return createZip([...createProjectScaffold(name, entryFile, workspacePackage), ...sources]);
+}
+
+/**
+ * Read a project zip archive into workspace files
+ * Uses the archive's src/ folder, or every non-project file when there is none.
+ * Entries whose path is not a valid workspace path (see isWorkspacePath) are skipped.
+ * @returns {Object} { files } keyed by workspace path (e.g. /src/entry.tsx)
+ */
+export async function importProjectZip(buffer, baseUrl = "/src") {
+  let entries = (await readZip(buffer)).filter(
+    ({ path }) =>
+      !path.split("/").some((part) => part.startsWith(".") || part === "node_modules")
+  );
+
+  // Strip a single top-level folder (e.g. my-app/src/...)
+  const roots = new Set(entries.map(({ path }) => path.split("/")[0]));
+  if (roots.size === 1 && entries.every(({ path }) => path.includes("/"))) {
+    const [root] = roots;
+    if (root !== "src") {
+      entries = entries.map((entry) => ({
+        ...entry,
+        path: entry.path.slice(root.length + 1)
+      }));
+    }
+  }
+
+  const hasSrc = entries.some(({ path }) => path.startsWith("src/"));
+  const decoder = new TextDecoder();
+  const files = {};
+
+  for (const { path, data } of entries) {
+    let relativePath;
+    if (hasSrc) {
+      if (!path.startsWith("src/")) continue;
+      relativePath = path.slice("src/".length);
+    } else {
+      if (GENERATED_FILES.includes(path)) continue;
+      relativePath = path;
+    }
+
+    const workspacePath = `${baseUrl}/${relativePath}`;
+    if (!isWorkspacePath(workspacePath, baseUrl)) {
+      console.warn(`[project] Skipped ${JSON.stringify(path)}: not a valid workspace path`);
+      continue;
+    }
+    const contents = isBinaryPath(relativePath)
+      ? bytesToDataUrl(data, getMimeType(relativePath))
+      : decoder.decode(data);
+    if (isBinaryPath(relativePath) && !isAssetDataUrl(contents)) {
+      console.warn(`[project] Skipped ${JSON.stringify(path)}: not a valid asset`);
+      continue;
+    }
+    files[workspacePath] = contents;
+  }
+
+  if (Object.keys(files).length === 0) {
+    throw new Error("The archive contains no source files");
+  }
+
+  // Keep the project's other dependencies (and runtime overrides) in the workspace
+  const packagePath = `${baseUrl}/${PACKAGE_JSON}`;
+  const projectPackage = entries.find(({ path }) => path === PACKAGE_JSON);
+  if (hasSrc && projectPackage && !files[packagePath]) {
+    let json = {};
+    try {
+      json = JSON.parse(decoder.decode(projectPackage.data)) || {};
+    } catch (error) {
+      // Not a usable package.json; import the sources only
+    }
+    const dependencies = { ...json.dependencies };
+    for (const name of SCAFFOLD_DEPENDENCIES) {
+      delete dependencies[name];
+    }
+    const workspacePackage = {};
+    if (Object.keys(dependencies).length > 0) {
+      workspacePackage.dependencies = dependencies;
+    }
+    if (json.runtime) {
+      workspacePackage.runtime = json.runtime;
+    }
+    if (Object.keys(workspacePackage).length > 0) {
+      files[packagePath] = `${JSON.stringify(workspacePackage, null, 2)}\n`;
+    }
+  }
+
+  return { files };
+}
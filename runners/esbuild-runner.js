@@ -4,17 +4,72 @@
  */
 
 import { WasmRunner } from "../wasm-runner.js";
-import { fetchSourceFile, createFileCache } from "../file-loader.js";
+import { loadModule, createFileCache } from "../file-loader.js";
+import { createAssetModule } from "../asset-modules.js";
+import { BUNDLE_FILE } from "../source-map.js";
+import { getCompilerUrls } from "../runtime-sources.js";
+import { createRuntimeConfig, createPreviewHtml } from "../runtime-config.js";
+import {
+  createDiagnostic,
+  createCompileError,
+  getErrorDiagnostics
+} from "../diagnostics.js";
+import {
+  isBareSpecifier,
+  readWorkspacePackage,
+  checkPackageImport,
+  resolvePackageImports
+} from "../package-resolver.js";
 
 let esbuild = null;
 let initialized = false;
 
+/**
+ * Convert a column counted in UTF-8 bytes, as esbuild reports them, to characters
+ */
+function toCharacterColumn(lineText, byteColumn) {
+  const bytes = new TextEncoder().encode(lineText).slice(0, byteColumn);
+  return new TextDecoder().decode(bytes).length;
+}
+
+/**
+ * Convert an esbuild error or warning (see diagnostics.js for the format)
+ * Plugin errors about imports are located at the import statement by esbuild.
+ */
+function toDiagnostic(message, severity) {
+  const { location } = message;
+  const diagnostic = createDiagnostic({
+    source: "esbuild",
+    severity,
+    // Notes explain the message, e.g. how to fix it
+    message: [message.text, ...message.notes.map((note) => note.text)]
+      .filter(Boolean)
+      .join("\n"),
+    code: message.id || null
+  });
+
+  if (location && location.file) {
+    const column = toCharacterColumn(location.lineText, location.column);
+    const endColumn = toCharacterColumn(location.lineText, location.column + location.length);
+    Object.assign(diagnostic, {
+      // Workspace modules live in the "virtual" namespace
+      file: location.file.replace(/^virtual:/, ""),
+      line: location.line,
+      column: column + 1,
+      endLine: location.line,
+      endColumn: endColumn + 1
+    });
+  }
+
+  return diagnostic;
+}
+
 /**
  * EsbuildRunner - Full bundling with esbuild-wasm
  */
 export class EsbuildRunner extends WasmRunner {
-  constructor() {
-    super();
+  constructor(options = {}) {
+    super(options);
     this.fileCache = createFileCache();
   }
 
@@ -25,13 +80,13 @@ export class EsbuildRunner extends WasmRunner {
     if (initialized) return;
 
     try {
-      // Import from unpkg with correct structure
-      esbuild = await import(
-        "https://unpkg.com/esbuild-wasm@0.27.1/esm/browser.js"
-      );
+      const urls = getCompilerUrls("esbuild", this.runtime);
+      esbuild = await import(/* @vite-ignore */ urls.module);
 
       await esbuild.initialize({
-        wasmURL: "https://unpkg.com/esbuild-wasm@0.27.1/esbuild.wasm"
+        wasmURL: urls.wasm,
+        // Inside the compiler worker we are already off the main thread
+        worker: typeof document !== "undefined"
       });
 
       initialized = true;
@@ -42,78 +97,67 @@ export class EsbuildRunner extends WasmRunner {
     }
   }
 
-  /**
-   * Check if a path is an external package
-   */
-  isExternal(path) {
-    const externals = [
-      "react",
-      "react-dom",
-      "react/jsx-runtime",
-      "react-dom/client"
-    ];
-    return externals.some((ext) => path === ext || path.startsWith(`${ext}/`));
-  }
-
-  /**
-   * Normalize a path (resolve ../ and ./)
-   */
-  normalizePath(path) {
-    const parts = path.split("/");
-    const result = [];
-
-    for (const part of parts) {
-      if (part === "..") {
-        result.pop();
-      } else if (part !== "." && part !== "") {
-        result.push(part);
-      }
-    }
-
-    if (path.startsWith("@/")) {
-      return "@/" + result.join("/").replace(/^@\//, "");
-    }
-
-    return "/" + result.join("/");
-  }
-
   /**
    * Create the virtual file system plugin
+   * Workspace modules are resolved to their canonical module ID (see loadModule).
+   * npm packages stay external and are added to packageImports.
+   * @param {string} baseUrl - Workspace root
+   * @param {Object} workspacePackage - See readWorkspacePackage
+   * @param {Object} runtimeConfig - See createRuntimeConfig
+   * @param {Set<string>} packageImports - Collects the package specifiers imported
    */
-  createVirtualFsPlugin(baseUrl = "/src") {
+  createVirtualFsPlugin(baseUrl, workspacePackage, runtimeConfig, packageImports) {
     return {
       name: "virtual-fs",
       setup: (build) => {
+        // Files loaded during resolution, keyed by module ID, reused by onLoad
+        const loadedModules = new Map();
+
         // Resolve: Determine how to handle each import
         build.onResolve({ filter: /.*/ }, async (args) => {
           const { path, namespace } = args;
 
-          // External packages: delegate to import map
-          if (this.isExternal(path)) {
+          // React and other runtime modules: delegate to import map
+          if (runtimeConfig.isExternal(path)) {
             return { path, external: true };
           }
 
-          // Entry point and @/ imports
-          if (path.startsWith("@/")) {
-            return { path, namespace: "virtual" };
+          // Entry point, @/ imports, and relative imports from virtual files
+          const isWorkspaceImport =
+            path.startsWith("@/") ||
+            path.startsWith(`${baseUrl}/`) ||
+            (namespace === "virtual" &&
+              (path.startsWith("./") || path.startsWith("../")));
+
+          if (isWorkspaceImport) {
+            try {
+              const file = await loadModule(
+                path,
+                namespace === "virtual" ? args.importer : "",
+                {
+                  baseUrl,
+                  fileSystem: this.fileSystem,
+                  fileCache: this.fileCache
+                }
+              );
+              loadedModules.set(file.id, file);
+              return { path: file.id, namespace: "virtual" };
+            } catch (error) {
+              return { errors: [{ text: error.message }] };
+            }
           }
 
-          // Relative imports from virtual files
-          if (
-            namespace === "virtual" &&
-            (path.startsWith("./") || path.startsWith("../"))
-          ) {
-            const importer = args.importer;
-            const importerDir = importer.substring(
-              0,
-              importer.lastIndexOf("/")
-            );
-            const resolvedPath = this.normalizePath(`${importerDir}/${path}`);
-
-            return { path: resolvedPath, namespace: "virtual" };
+          // npm packages: loaded through the preview's import map
+          if (isBareSpecifier(path)) {
+            const error = checkPackageImport(path, workspacePackage);
+            if (error) {
+              return { errors: [{ text: error }] };
+            }
+            packageImports.add(path);
+            return { path, external: true };
           }
 
-          // Bare imports not in our list
+          // URL imports
           if (!path.startsWith("/") && !path.startsWith(".")) {
             return { path, external: true };
           }
@@ -121,38 +165,19 @@ export class EsbuildRunner extends WasmRunner {
           return null;
         });
 
-        // Load: Fetch file contents for virtual namespace
-        build.onLoad({ filter: /.*/, namespace: "virtual" }, async (args) => {
-          const modulePath = args.path;
-
-          // Check cache
-          if (this.fileCache.has(modulePath)) {
-            const cached = this.fileCache.get(modulePath);
-            return {
-              contents: cached.contents,
-              loader: cached.loader
-            };
-          }
+        // Load: Serve the contents found while resolving
+        build.onLoad({ filter: /.*/, namespace: "virtual" }, (args) => {
+          const file = loadedModules.get(args.path);
+          console.log(`[esbuild] Loaded: ${args.path}`);
 
+          // Stylesheets, JSON, images and text become generated JS modules
           try {
-            const result = await fetchSourceFile(modulePath, baseUrl);
-            this.fileCache.set(modulePath, result);
-
-            console.log(`[esbuild] Loaded: ${modulePath}`);
-
-            return {
-              contents: result.contents,
-              loader: result.loader
-            };
+            const asset = createAssetModule(file);
+            return asset === null
+              ? { contents: file.contents, loader: file.loader }
+              : { contents: asset, loader: "js" };
           } catch (error) {
-            return {
-              errors: [
-                {
-                  text: error.message,
-                  location: null
-                }
-              ]
-            };
+            return { errors: [{ text: error.message }] };
           }
         });
       }
@@ -184,117 +209,94 @@ export class EsbuildRunner extends WasmRunner {
     console.log(`[esbuild] Building: ${entryPoint}`);
 
     try {
-      const result = await esbuild.build({
-        entryPoints: [entryPoint],
-        bundle: true,
-        format: "esm",
-        write: false,
-        minify,
-        sourcemap: sourcemap ? "inline" : false,
-        target: "es2020",
-        jsx: "automatic",
-        jsxImportSource: "react",
-        plugins: [this.createVirtualFsPlugin(baseUrl)],
-        logLevel: "warning"
+      const workspacePackage = await readWorkspacePackage({
+        baseUrl,
+        fileSystem: this.fileSystem,
+        fileCache: this.fileCache
+      });
+      const runtimeConfig = createRuntimeConfig({
+        source: this.runtime,
+        workspacePackage
       });
+      const packageImports = new Set();
+
+      const result = await esbuild
+        .build({
+          entryPoints: [entryPoint],
+          bundle: true,
+          format: "esm",
+          write: false,
+          outfile: BUNDLE_FILE,
+          minify,
+          sourcemap: sourcemap ? "external" : false,
+          target: "es2020",
+          jsx: "automatic",
+          jsxImportSource: "react",
+          plugins: [
+            this.createVirtualFsPlugin(baseUrl, workspacePackage, runtimeConfig, packageImports)
+          ],
+          logLevel: "warning"
+        })
+        // Builds with errors reject with the errors and warnings attached
+        .catch((error) => {
+          if (!error.errors) throw error;
+          return error;
+        });
 
+      const diagnostics = [
+        ...result.errors.map((message) => toDiagnostic(message, "error")),
+        ...result.warnings.map((message) => toDiagnostic(message, "warning"))
+      ];
       if (result.errors.length > 0) {
-        const errorText = result.errors.map((e) => e.text).join("\n");
-        console.error("[esbuild] Errors:", errorText);
-        throw new Error(errorText);
+        throw createCompileError(diagnostics);
       }
 
-      const bundledCode = result.outputFiles[0].text;
+      const output = result.outputFiles.find((file) => file.path.endsWith(".js"));
+      const mapFile = result.outputFiles.find((file) => file.path.endsWith(".map"));
+      // The map is attached by the caller, so drop esbuild's link to the .map file
+      const bundledCode = output.text.replace(/\n\/\/# sourceMappingURL=.*\n?$/, "\n");
       console.log(`[esbuild] Build complete: ${bundledCode.length} bytes`);
 
+      let sourceMap = null;
+      if (mapFile) {
+        sourceMap = JSON.parse(mapFile.text);
+        // Sources are module IDs in the "virtual" namespace; report them as plain paths
+        sourceMap.sources = sourceMap.sources.map((source) =>
+          source.replace(/^(\.\.\/)*virtual:/, "")
+        );
+      }
+
+      const imports = await resolvePackageImports(packageImports, {
+        workspacePackage,
+        resolver: this.packageResolver,
+        runtimeVersions: runtimeConfig.versions
+      });
+
       return {
         code: bundledCode,
-        warnings: result.warnings || []
+        sourceMap,
+        // The runtime's import map plus the npm packages the bundle imports
+        importMap: { imports: { ...runtimeConfig.importMap.imports, ...imports } },
+        diagnostics
       };
     } catch (error) {
       console.error("[esbuild] Build error:", error);
-      throw error;
+      throw createCompileError(getErrorDiagnostics(error, "esbuild"));
     }
   }
 
   /**
-   * Compile and execute in iframe
+   * Compile and create the preview document
    */
-  async compileAndRun(options = {}) {
-    const { code } = await this.compile(options);
-    const themeColors = options.themeColors || {
-      bg: '#000000',
-      text: '#fafafa',
-      muted: '#e4e4e7',
-      code: '#a1a1a6',
-      codeBg: '#18181b'
-    };
-
-    // Get or create root container
-    const rootEl = document.getElementById("root");
-    if (!rootEl) {
-      throw new Error("No root element found");
-    }
-
-    // Clear previous content
-    rootEl.innerHTML = "";
-
-    // Create HTML for iframe with import map
-    const iframeHTML = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <script type="importmap">
-          {
-            "imports": {
-              "react": "https://esm.sh/react@19.2.3",
-              "react/jsx-runtime": "https://esm.sh/react@19.2.3/jsx-runtime",
-              "react-dom": "https://esm.sh/react-dom@19.2.3",
-              "react-dom/client": "https://esm.sh/react-dom@19.2.3/client"
-            }
-          }
-        </script>
-        <style>
-          * { box-sizing: border-box; margin: 0; padding: 0; }
-          body {
-            font-family: system-ui, -apple-system, sans-serif;
-            background: #000000;
-            color: #fafafa;
-          }
-        </style>
-      </head>
-      <body>
-        <div id="root"></div>
-        <script>
-          window.__THEME__ = ${JSON.stringify(themeColors)};
-        </script>
-        <script type="module">
-          ${code}
-        </script>
-      </body>
-      </html>
-    `;
-
-    // Create iframe for sandboxed execution
-    const iframe = document.createElement("iframe");
-    iframe.srcdoc = iframeHTML;
-    iframe.style.border = "none";
-    iframe.style.width = "100%";
-    iframe.style.height = "100%";
-    iframe.style.minHeight = "400px";
-
-    // Add necessary sandbox permissions
-    // Note: We allow scripts but NOT allow-same-origin to prevent sandbox escape
-    iframe.sandbox.add("allow-scripts");
-    iframe.sandbox.add("allow-popups");
-    iframe.sandbox.add("allow-forms");
-
-    rootEl.appendChild(iframe);
-
-    console.log("[esbuild] Execution complete in iframe");
-    return code;
+  async buildPreview(options = {}) {
+    const { code, sourceMap, importMap, diagnostics } = await this.compile(options);
+    const html = createPreviewHtml({
+      importMap,
+      script: code,
+      sourceMap,
+      themeColors: options.themeColors
+    });
+    return { code, html, sourceMap, diagnostics };
   }
 
   /**
@@ -306,6 +308,7 @@ export class EsbuildRunner extends WasmRunner {
       jsx: true,
       typescript: true,
       multiFile: true,
+      hotUpdate: false,
       name: "esbuild"
     };
   }
@@ -1,22 +1,220 @@
 /**
  * SWC WASM Runner
- * Single-file transformation with transformSync()
+ * Per-file CommonJS transformation with transformSync() and a small module loader
  */
 
 import { WasmRunner } from "../wasm-runner.js";
-import { fetchSourceFile, createFileCache } from "../file-loader.js";
+import { loadModule, createFileCache } from "../file-loader.js";
+import { createAssetModule } from "../asset-modules.js";
+import { concatSourceMaps, createSourceMapComments } from "../source-map.js";
+import { PREVIEW_MESSAGE_SOURCE } from "../preview-runtime.js";
+import { getCompilerUrls } from "../runtime-sources.js";
+import {
+  createRuntimeConfig,
+  createPreviewHtml,
+  REFRESH_RUNTIME,
+  THEME_COLORS
+} from "../runtime-config.js";
+import {
+  isBareSpecifier,
+  readWorkspacePackage,
+  checkPackageImport,
+  resolvePackageImports
+} from "../package-resolver.js";
+import {
+  createDiagnostic,
+  createCompileError,
+  getErrorDiagnostics
+} from "../diagnostics.js";
 
 let swc = null;
 let initialized = false;
 
+// Hot-updated modules run as separate scripts named after their module ID
+const HOT_MODULE_PREFIX = "hot:";
+
+// Lines of SWC's rendered errors: the message, the file and line of the source
+// excerpt, an excerpt line, and the carets under the reported span
+const SWC_MESSAGE = /^\s*([x×!⚠]) (.*)$/;
+const SWC_LOCATION = /^\s*,-\[(.+):(\d+):\d+\]$/;
+const SWC_SOURCE_LINE = /^\s*(\d+) \| /;
+const SWC_SPAN = /^\s*: ( *)(\^+)/;
+
+/**
+ * Parse the errors SWC reports as rendered text (see diagnostics.js for the format)
+ * Spans over several lines are located at their first line.
+ * @param {string} text - What transformSync() threw
+ * @param {string} file - Module ID of the transformed file
+ */
+function parseSwcErrors(text, file) {
+  const diagnostics = [];
+  let diagnostic = null;
+  let sourceLine = null;
+
+  for (const line of text.split("\n")) {
+    // What follows is SWC's own call chain
+    if (line.startsWith("Caused by:")) break;
+
+    let match;
+    if ((match = SWC_MESSAGE.exec(line))) {
+      diagnostic = createDiagnostic({
+        source: "swc",
+        severity: match[1] === "x" || match[1] === "×" ? "error" : "warning",
+        message: match[2],
+        file
+      });
+      diagnostics.push(diagnostic);
+      sourceLine = null;
+    } else if (!diagnostic) {
+      continue;
+    } else if ((match = SWC_LOCATION.exec(line))) {
+      diagnostic.line = Number(match[2]);
+      diagnostic.column = 1;
+    } else if ((match = SWC_SOURCE_LINE.exec(line))) {
+      sourceLine = Number(match[1]);
+    } else if ((match = SWC_SPAN.exec(line)) && sourceLine && !diagnostic.endLine) {
+      Object.assign(diagnostic, {
+        line: sourceLine,
+        column: match[1].length + 1,
+        endLine: sourceLine,
+        endColumn: match[1].length + match[2].length + 1
+      });
+    }
+  }
+
+  if (diagnostics.length === 0) {
+    diagnostics.push(createDiagnostic({ source: "swc", severity: "error", message: text, file }));
+  }
+  return diagnostics;
+}
+
+/**
+ * Locate an import's quoted specifier in a module's source
+ * @returns {Object} { line, column, endLine, endColumn }, or {} when not found
+ */
+function locateImport(source, specifier) {
+  for (const quote of ['"', "'", "`"]) {
+    const offset = source.indexOf(`${quote}${specifier}${quote}`);
+    if (offset === -1) continue;
+
+    const lines = source.slice(0, offset).split("\n");
+    const column = lines[lines.length - 1].length + 1;
+    return {
+      line: lines.length,
+      column,
+      endLine: lines.length,
+      endColumn: column + specifier.length + 2
+    };
+  }
+  return {};
+}
+
+/**
+ * Create the part of the preview bundle that applies hot updates
+ *
+ * Modules whose exports are all React components are refresh boundaries:
+ * React Refresh swaps their components in place, keeping hook state. Other
+ * changed modules are re-run together with their importers, up to the nearest
+ * boundaries or the entry point (whose createRoot() is memoized, so it renders
+ * again into the same root). Anything else makes the update fail, and the
+ * runner reloads the preview instead.
+ */
+function createHotUpdateRuntime() {
+  return `
+// createRoot() returns the same root for a container, so re-running the entry
+// module during a hot update re-renders instead of mounting a second root
+function __memoizeRoots__(client) {
+  const roots = new Map();
+  const createRoot = (container, options) => {
+    if (!roots.has(container)) {
+      const root = client.createRoot(container, options);
+      const unmount = root.unmount.bind(root);
+      root.unmount = () => {
+        roots.delete(container);
+        unmount();
+      };
+      roots.set(container, root);
+    }
+    return roots.get(container);
+  };
+  const wrapped = Object.assign({}, client, { createRoot });
+  if (client.default) wrapped.default = Object.assign({}, client.default, { createRoot });
+  return wrapped;
+}
+
+function __isRefreshBoundary__(exports) {
+  if (!__refresh__ || !exports) return false;
+  const names = Object.keys(exports).filter((name) => name !== "__esModule");
+  return names.length > 0 && names.every((name) => __refresh__.isLikelyComponentType(exports[name]));
+}
+
+function __applyHotUpdate__(modules, removed) {
+  if (!__ready__ || !__refresh__) throw new Error("the preview is not ready for hot updates");
+
+  const boundaries = new Set(
+    Object.keys(__modules__).filter((key) => __cache__[key] && __isRefreshBoundary__(__cache__[key]))
+  );
+
+  for (const key of removed) {
+    delete __modules__[key];
+    delete __cache__[key];
+  }
+  for (const key of Object.keys(modules)) {
+    __modules__[key] = { deps: modules[key].deps, fn: (0, eval)(modules[key].code) };
+  }
+
+  const importers = {};
+  for (const key of Object.keys(__modules__)) {
+    for (const dep of Object.values(__modules__[key].deps)) {
+      (importers[dep] = importers[dep] || []).push(key);
+    }
+  }
+
+  const stale = new Set();
+  const queue = Object.keys(modules);
+  while (queue.length > 0) {
+    const key = queue.shift();
+    if (stale.has(key)) continue;
+    stale.add(key);
+    if (!boundaries.has(key)) queue.push(...(importers[key] || []));
+  }
+
+  for (const key of stale) delete __cache__[key];
+  for (const key of stale) __load__(key);
+
+  for (const key of stale) {
+    if (boundaries.has(key) && !__isRefreshBoundary__(__cache__[key])) {
+      throw new Error(key + " no longer exports only components");
+    }
+  }
+  __refresh__.performReactRefresh();
+}
+
+window.addEventListener("message", (event) => {
+  const data = event.data;
+  if (event.source !== window.parent || !data || data.source !== ${JSON.stringify(PREVIEW_MESSAGE_SOURCE)} || data.type !== "hot-update") return;
+  const reply = { source: data.source, type: "hot-update-result", id: data.id, applied: true };
+  try {
+    __applyHotUpdate__(data.modules, data.removed);
+  } catch (err) {
+    reply.applied = false;
+    reply.message = err.message;
+  }
+  window.parent.postMessage(reply, "*");
+});`;
+}
+
 /**
  * SwcRunner - Fast transformation with SWC
  */
 export class SwcRunner extends WasmRunner {
-  constructor() {
-    super();
+  constructor(options = {}) {
+    super(options);
     this.fileCache = createFileCache();
     this.transformedFiles = new Map();
+    // What the preview was last sent:
+    // { entryKey, themeKey, importMapKey, modules: { [id]: { code, deps } } }
+    this.preview = null;
   }
 
   /**
@@ -26,10 +224,11 @@ export class SwcRunner extends WasmRunner {
     if (initialized) return;
 
     try {
-      const module = await import("https://esm.sh/@swc/wasm-web");
+      const urls = getCompilerUrls("swc", this.runtime);
+      const module = await import(/* @vite-ignore */ urls.module);
       const initSwc = module.default;
 
-      await initSwc();
+      await initSwc(urls.wasm ? { module_or_path: urls.wasm } : undefined);
 
       swc = module;
       initialized = true;
@@ -40,21 +239,9 @@ export class SwcRunner extends WasmRunner {
     }
   }
 
-  /**
-   * Check if path is external
-   */
-  isExternal(path) {
-    const externals = [
-      "react",
-      "react-dom",
-      "react/jsx-runtime",
-      "react-dom/client"
-    ];
-    return externals.some((ext) => path === ext || path.startsWith(`${ext}/`));
-  }
-
   /**
    * Transform a single file with SWC
+   * @returns {Object} { code, map } where map is the file's source map (v3)
    */
   transformFile(code, filePath) {
     try {
@@ -68,18 +255,31 @@ export class SwcRunner extends WasmRunner {
             dynamicImport: true
           },
           transform: {
+            // Development mode is what emits the React Refresh registrations
             react: {
-              runtime: "automatic"
+              runtime: "automatic",
+              development: true,
+              refresh: true
             }
           },
           target: "es2020"
         },
+        // Let SWC do the ESM -> CommonJS conversion on its AST
         module: {
-          type: "es6"
-        }
+          type: "commonjs",
+          strict: false,
+          noInterop: false
+        },
+        sourceMaps: true
       });
 
-      return result.code;
+      const map = result.map ? JSON.parse(result.map) : null;
+      if (map) {
+        // One file per transform: report it by its module ID
+        map.sources = [filePath];
+      }
+
+      return { code: result.code, map };
     } catch (error) {
       console.error(`[swc] Transform error in ${filePath}:`, error);
       throw error;
@@ -87,27 +287,43 @@ export class SwcRunner extends WasmRunner {
   }
 
   /**
-   * Recursively load and transform files
+   * Load and transform a single module
+   * @returns {Object} { id, code, map, source } keyed by canonical module ID
    */
-  async loadAndTransformFile(modulePath, baseUrl = "/src") {
-    // Check if already transformed
-    if (this.transformedFiles.has(modulePath)) {
-      return this.transformedFiles.get(modulePath);
+  async loadAndTransformFile(specifier, importerId = "", baseUrl = "/src") {
+    const file = await loadModule(specifier, importerId, {
+      baseUrl,
+      fileSystem: this.fileSystem,
+      fileCache: this.fileCache
+    });
+
+    // Reuse the previous transform while the source is unchanged
+    const previous = this.transformedFiles.get(file.id);
+    if (previous && previous.source === file.contents) {
+      return previous;
     }
 
     try {
-      const fileData = await fetchSourceFile(modulePath, baseUrl);
-      const transformed = this.transformFile(fileData.contents, modulePath);
-
-      this.transformedFiles.set(modulePath, transformed);
-      this.fileCache.set(modulePath, { ...fileData, transformed });
+      // Stylesheets, JSON, images and text become generated JS modules
+      const asset = createAssetModule(file);
+      const { code, map } = this.transformFile(asset ?? file.contents, file.id);
+
+      const transformed = {
+        id: file.id,
+        source: file.contents,
+        code,
+        // Generated asset code has no lines in the original file to map to
+        map: asset === null ? map : null
+      };
+      this.transformedFiles.set(file.id, transformed);
 
-      console.log(`[swc] Transformed: ${modulePath}`);
+      console.log(`[swc] Transformed: ${file.id}`);
 
       return transformed;
     } catch (error) {
-      console.error(`[swc] Load error: ${modulePath}`, error);
-      throw error;
+      console.error(`[swc] Transform error: ${file.id}`, error);
+      // SWC throws its rendered errors as a string
+      throw createCompileError(parseSwcErrors(String(error.message || error), file.id));
     }
   }
 
@@ -122,115 +338,125 @@ ${code}
   }
 
   /**
-   * Extract import paths from code
+   * Extract required specifiers from transformed (CommonJS) code
+   * Walks SWC's AST so strings and comments are never mistaken for imports
    */
   extractImports(code) {
-    const imports = [];
-    const importRegex = /from\s+["'](@\/[^"']+)["']/g;
-    let match;
+    const imports = new Set();
+    const ast = swc.parseSync(code, { syntax: "ecmascript" });
+
+    const visit = (node) => {
+      if (!node || typeof node !== "object") return;
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
 
-    while ((match = importRegex.exec(code)) !== null) {
-      imports.push(match[1]);
-    }
+      if (
+        node.type === "CallExpression" &&
+        node.callee.type === "Identifier" &&
+        node.callee.value === "require" &&
+        node.arguments.length === 1 &&
+        node.arguments[0].expression.type === "StringLiteral"
+      ) {
+        imports.add(node.arguments[0].expression.value);
+      }
 
-    return [...new Set(imports)]; // Deduplicate
+      for (const key in node) {
+        if (key !== "span") visit(node[key]);
+      }
+    };
+    visit(ast);
+
+    return [...imports];
   }
 
   /**
-   * Convert ES6 imports/exports to CommonJS for bundled execution
+   * Walk the dependency graph from the entry point
+   * Resolves relative and @/ imports against the importing file; cycles are
+   * visited once. Runtime modules (see createRuntimeConfig) are skipped; npm
+   * package imports are checked against the workspace's package.json and
+   * collected. Problems in every module are collected and thrown as one error,
+   * with unresolved imports located in the importing file.
+   * @returns {Object} { entryId, moduleMap, dependencies, sourceMaps } keyed by module ID,
+   *   and packageImports (the package specifiers imported)
    */
-  resolveImports(code, filePath) {
-    // Handle all import statements (both @/ and external packages)
-
-    // Handle combined imports: import X, { Y, Z } from "path"
-    code = code.replace(
-      /import\s+(\w+)\s*,\s*\{([^}]+)\}\s+from\s+["']([^"']+)["']/g,
-      (match, defaultName, names, importPath) => {
-        let resolvedPath = importPath;
-
-        // Resolve @/ aliases
-        if (importPath.startsWith("@/")) {
-          resolvedPath = `/src/${importPath.slice(2)}`;
-          if (!resolvedPath.endsWith(".js") && !resolvedPath.endsWith(".jsx")) {
-            resolvedPath += ".js";
-          }
-        }
+  async buildModuleGraph(entryPoint, baseUrl = "/src", workspacePackage, runtimeConfig) {
+    const moduleMap = {};
+    const dependencies = {};
+    const sourceMaps = {};
+    const packageImports = new Set();
+    const diagnostics = [];
+
+    // An error about an import, at the import in the importing file
+    const reportImport = (message, specifier, importerId) => {
+      diagnostics.push(
+        createDiagnostic({
+          source: "swc",
+          severity: "error",
+          message,
+          file: importerId || null,
+          ...(importerId
+            ? locateImport(this.transformedFiles.get(importerId).source, specifier)
+            : {})
+        })
+      );
+    };
 
-        // Convert "X as Y" to "X: Y" for CommonJS
-        const convertedNames = names.replace(/\s+as\s+/g, ": ");
-        return `const ${defaultName} = require("${resolvedPath}");\nconst { ${convertedNames} } = ${defaultName}`;
+    const visit = async (specifier, importerId = "") => {
+      let transformed;
+      try {
+        transformed = await this.loadAndTransformFile(
+          specifier,
+          importerId,
+          baseUrl
+        );
+      } catch (error) {
+        if (error.diagnostics) {
+          diagnostics.push(...error.diagnostics);
+        } else {
+          reportImport(error.message, specifier, importerId);
+        }
+        return null;
       }
-    );
 
-    // Handle named imports with aliases: import { X as Y } from "path"
-    code = code.replace(
-      /import\s+\{([^}]+)\}\s+from\s+["']([^"']+)["']/g,
-      (match, names, importPath) => {
-        let resolvedPath = importPath;
-
-        // Resolve @/ aliases
-        if (importPath.startsWith("@/")) {
-          resolvedPath = `/src/${importPath.slice(2)}`;
-          if (!resolvedPath.endsWith(".js") && !resolvedPath.endsWith(".jsx")) {
-            resolvedPath += ".js";
-          }
-        }
+      const { id, code, map } = transformed;
+      if (dependencies[id]) return id;
 
-        // Convert "X as Y" to "X: Y" for CommonJS
-        const convertedNames = names.replace(/\s+as\s+/g, ": ");
-        return `const { ${convertedNames} } = require("${resolvedPath}")`;
-      }
-    );
+      moduleMap[id] = code;
+      dependencies[id] = {};
+      if (map) sourceMaps[id] = map;
+
+      for (const dependency of this.extractImports(code)) {
+        if (runtimeConfig.isExternal(dependency)) continue;
 
-    // Handle default imports: import X from "path"
-    code = code.replace(
-      /import\s+(\w+)\s+from\s+["']([^"']+)["']/g,
-      (match, varName, importPath) => {
-        let resolvedPath = importPath;
-
-        // Resolve @/ aliases
-        if (importPath.startsWith("@/")) {
-          resolvedPath = `/src/${importPath.slice(2)}`;
-          if (!resolvedPath.endsWith(".js") && !resolvedPath.endsWith(".jsx")) {
-            resolvedPath += ".js";
+        // npm packages: preloaded from the preview's import map
+        if (isBareSpecifier(dependency)) {
+          const error = checkPackageImport(dependency, workspacePackage);
+          if (error) {
+            reportImport(error, dependency, id);
+          } else {
+            packageImports.add(dependency);
           }
+          continue;
         }
 
-        return `const ${varName} = require("${resolvedPath}")`;
+        const dependencyId = await visit(dependency, id);
+        if (dependencyId) {
+          dependencies[id][dependency] = dependencyId;
+        }
       }
-    );
-
-    // Handle side-effect imports: import "path"
-    code = code.replace(/import\s+["']([^"']+)["']/g, 'require("$1")');
 
-    // Convert export statements to module.exports
-    code = code.replace(/export\s+const\s+(\w+)\s*=/g, "exports.$1 = ");
-    code = code.replace(
-      /export\s+function\s+(\w+)\s*\(/g,
-      "exports.$1 = function ("
-    );
-    code = code.replace(/export\s+default\s+/g, "exports.default = ");
-
-    return code;
-  }
+      return id;
+    };
 
-  /**
-   * Recursively transform dependencies
-   */
-  async transformDependencies(code, baseUrl = "/src") {
-    const imports = this.extractImports(code);
+    const entryId = await visit(entryPoint);
 
-    for (const importPath of imports) {
-      try {
-        // Transform each imported file
-        await this.loadAndTransformFile(importPath, baseUrl);
-      } catch (error) {
-        console.warn(
-          `[swc] Could not transform dependency ${importPath}:`,
-          error.message
-        );
-      }
+    if (diagnostics.length > 0) {
+      throw createCompileError(diagnostics);
     }
+
+    return { entryId, moduleMap, dependencies, sourceMaps, packageImports };
   }
 
   /**
@@ -244,6 +470,7 @@ ${code}
     const {
       entryPoint = "@/entry",
       baseUrl = "/src",
+      sourcemap = false,
       clearCache = false
     } = options;
 
@@ -255,37 +482,30 @@ ${code}
     console.log(`[swc] Building: ${entryPoint}`);
 
     try {
-      // Transform entry point
-      let transformed = await this.loadAndTransformFile(entryPoint, baseUrl);
-
-      // Transform all dependencies recursively
-      await this.transformDependencies(transformed, baseUrl);
-
-      // Resolve entry point imports
-      transformed = this.resolveImports(transformed, entryPoint);
+      const workspacePackage = await readWorkspacePackage({
+        baseUrl,
+        fileSystem: this.fileSystem,
+        fileCache: this.fileCache
+      });
 
-      // Create module map for all transformed files, resolving imports/exports
-      const moduleMap = {};
+      // React Refresh needs the development builds of React
+      const runtimeConfig = createRuntimeConfig({
+        source: this.runtime,
+        development: true,
+        workspacePackage
+      });
 
-      // Add entry point to module map
-      let entryPathResolved = `/src/${entryPoint.replace("@/", "")}`;
-      if (
-        !entryPathResolved.endsWith(".js") &&
-        !entryPathResolved.endsWith(".jsx")
-      ) {
-        entryPathResolved += ".js";
-      }
-      moduleMap[entryPathResolved] = transformed;
+      // Transform the entry point and everything it imports, transitively
+      const { entryId, moduleMap, dependencies, sourceMaps, packageImports } =
+        await this.buildModuleGraph(entryPoint, baseUrl, workspacePackage, runtimeConfig);
+      const transformed = moduleMap[entryId];
 
-      // Add other dependencies to module map
-      for (const [path, code] of this.transformedFiles.entries()) {
-        let resolvedPath = `/src/${path.replace("@/", "")}`;
-        if (!resolvedPath.endsWith(".js") && !resolvedPath.endsWith(".jsx")) {
-          resolvedPath += ".js";
-        }
-        const resolvedCode = this.resolveImports(code, path);
-        moduleMap[resolvedPath] = resolvedCode;
-      }
+      const imports = await resolvePackageImports(packageImports, {
+        workspacePackage,
+        resolver: this.packageResolver,
+        runtimeVersions: runtimeConfig.versions,
+        development: true
+      });
 
       console.log(
         `[swc] Build complete: ${transformed.length} bytes (${Object.keys(moduleMap).length} modules)`
@@ -294,169 +514,255 @@ ${code}
       return {
         code: transformed,
         moduleMap,
-        entryPoint: entryPathResolved,
-        warnings: []
+        dependencies,
+        // Per-module maps; buildPreview() joins them for the bundle
+        sourceMaps: sourcemap ? sourceMaps : null,
+        // The runtime's import map plus the npm packages the modules import
+        importMap: { imports: { ...runtimeConfig.importMap.imports, ...imports } },
+        entryPoint: entryId,
+        // SWC reports no warnings
+        diagnostics: []
       };
     } catch (error) {
       console.error("[swc] Build error:", error);
-      throw error;
+      throw createCompileError(getErrorDiagnostics(error, "swc"));
+    }
+  }
+
+  /**
+   * Create an update with the modules that changed since the preview was built
+   * @returns {Object|null} { hotUpdate, hotSourceMaps } (see WasmRunner.buildPreview),
+   *   or null when the preview must be rebuilt
+   */
+  createHotUpdate({ moduleMap, dependencies, sourceMaps, importMap, entryKey, themeColors }) {
+    const preview = this.preview;
+    // The import map of a running page cannot change, so new packages reload it
+    if (
+      !preview ||
+      preview.entryKey !== entryKey ||
+      preview.themeKey !== JSON.stringify(themeColors) ||
+      preview.importMapKey !== JSON.stringify(importMap)
+    ) {
+      return null;
+    }
+
+    const modules = {};
+    const hotSourceMaps = [];
+    for (const [id, moduleCode] of Object.entries(moduleMap)) {
+      const previous = preview.modules[id];
+      const deps = dependencies[id];
+      if (
+        previous &&
+        previous.code === moduleCode &&
+        JSON.stringify(previous.deps) === JSON.stringify(deps)
+      ) {
+        continue;
+      }
+
+      // The wrapper adds one line above the module code
+      const file = `${HOT_MODULE_PREFIX}${id}`;
+      const map = sourceMaps && sourceMaps[id]
+        ? concatSourceMaps([{ map: sourceMaps[id], line: 1 }], file)
+        : null;
+      hotSourceMaps.push([file, map]);
+      modules[id] = {
+        deps,
+        code: `(function (module, exports, require) {\n${moduleCode}\n})\n${createSourceMapComments(map, file)}`
+      };
+    }
+    const removed = Object.keys(preview.modules).filter((id) => !(id in moduleMap));
+
+    // If the preview rejects the update, compileAndRun() asks for a full build,
+    // which replaces this record
+    preview.modules = this.snapshotModules(moduleMap, dependencies);
+    return { hotUpdate: { modules, removed }, hotSourceMaps };
+  }
+
+  /**
+   * Record the code and dependencies of the modules sent to the preview
+   */
+  snapshotModules(moduleMap, dependencies) {
+    const modules = {};
+    for (const [id, code] of Object.entries(moduleMap)) {
+      modules[id] = { code, deps: dependencies[id] };
     }
+    return modules;
   }
 
   /**
-   * Compile and execute with SWC in iframe
+   * Compile with SWC and create the preview document
+   * With options.hot, returns an update for the running preview when possible.
    */
-  async compileAndRun(options = {}) {
+  async buildPreview(options = {}) {
     const {
       code,
       moduleMap,
-      entryPoint: entryKey
+      dependencies,
+      sourceMaps,
+      importMap,
+      entryPoint: entryKey,
+      diagnostics
     } = await this.compile(options);
 
-    const themeColors = options.themeColors || {
-      bg: '#000000',
-      text: '#fafafa',
-      muted: '#e4e4e7',
-      code: '#a1a1a6',
-      codeBg: '#18181b'
-    };
+    const themeColors = options.themeColors || THEME_COLORS.dark;
 
-    // Get or create root container
-    const rootEl = document.getElementById("root");
-    if (!rootEl) {
-      throw new Error("No root element found");
+    if (options.hot) {
+      const update = this.createHotUpdate({
+        moduleMap,
+        dependencies,
+        sourceMaps,
+        importMap,
+        entryKey,
+        themeColors
+      });
+      if (update) {
+        return { code, moduleMap, sourceMaps, ...update, diagnostics };
+      }
     }
 
-    // Clear previous content
-    rootEl.innerHTML = "";
-
     // Inline all transformed modules as a bundle
     const bundledCodeLines = [
       "// SWC Module Bundle",
       "const __modules__ = {};",
       "const __cache__ = {};",
+      "let __refresh__ = null;",
+      "let __ready__ = false;",
+      "window.$RefreshReg$ = () => {};",
+      "window.$RefreshSig$ = () => (type) => type;",
       "",
-      "function __require__(path) {",
-      "  if (__cache__[path]) return __cache__[path];",
+      "function __load__(key) {",
+      "  if (__cache__[key]) return __cache__[key];",
       "  const module = { exports: {} };",
-      "  const fn = __modules__[path];",
-      '  if (!fn) throw new Error("Module not found: " + path);',
-      "  fn(module, module.exports, __require__);",
-      "  __cache__[path] = module.exports;",
+      "  const entry = __modules__[key];",
+      '  if (!entry) throw new Error("Module not found: " + key);',
+      "  // Cache before executing so import cycles see partial exports",
+      "  __cache__[key] = module.exports;",
+      "  // Register the module's components with React Refresh under its ID",
+      "  const previousRefreshReg = window.$RefreshReg$;",
+      "  const previousRefreshSig = window.$RefreshSig$;",
+      "  if (__refresh__) {",
+      "    window.$RefreshReg$ = (type, id) => __refresh__.register(type, key + ' ' + id);",
+      "    window.$RefreshSig$ = __refresh__.createSignatureFunctionForTransform;",
+      "  }",
+      "  try {",
+      "    entry.fn(module, module.exports, (path) => __require__(path, key));",
+      "  } finally {",
+      "    window.$RefreshReg$ = previousRefreshReg;",
+      "    window.$RefreshSig$ = previousRefreshSig;",
+      "  }",
+      "  __cache__[key] = module.exports;",
       "  return module.exports;",
-      "}"
+      "}",
+      "",
+      "function __require__(path, parentKey) {",
+      "  // Preloaded external packages",
+      "  if (__cache__[path]) return __cache__[path];",
+      "  const key = __modules__[parentKey].deps[path];",
+      '  if (!key) throw new Error("Module not found: " + path + " (from " + parentKey + ")");',
+      "  return __load__(key);",
+      "}",
+      createHotUpdateRuntime()
     ];
 
     // Add all modules
+    const mapSections = [];
     for (const [path, moduleCode] of Object.entries(moduleMap)) {
-      bundledCodeLines.push(
-        `__modules__['${path}'] = function(module, exports, require) {`
-      );
+      bundledCodeLines.push(`__modules__[${JSON.stringify(path)}] = {`);
+      bundledCodeLines.push(`  deps: ${JSON.stringify(dependencies[path])},`);
+      bundledCodeLines.push("  fn: function(module, exports, require) {");
+      if (sourceMaps && sourceMaps[path]) {
+        mapSections.push({ map: sourceMaps[path], index: bundledCodeLines.length });
+      }
       // Add module code without indentation to avoid syntax issues
+      // (the module's source map then only needs a line offset)
       bundledCodeLines.push(moduleCode);
-      bundledCodeLines.push("};");
+      bundledCodeLines.push("}};");
       bundledCodeLines.push("");
     }
 
-    // Set theme on window
-    bundledCodeLines.push("");
-    bundledCodeLines.push(`window.__THEME__ = ${JSON.stringify(themeColors)};`);
-
-    // Add external package preloader
+    // Add external package preloader: runtime modules and npm packages
+    const externalPackages = Object.keys(importMap.imports).filter(
+      (specifier) => specifier !== REFRESH_RUNTIME
+    );
     bundledCodeLines.push("");
     bundledCodeLines.push("// Preload external packages from import map");
-    bundledCodeLines.push("const externalPackages = [");
-    bundledCodeLines.push("  'react',");
-    bundledCodeLines.push("  'react/jsx-runtime',");
-    bundledCodeLines.push("  'react-dom',");
-    bundledCodeLines.push("  'react-dom/client'");
-    bundledCodeLines.push("];");
+    bundledCodeLines.push(`const externalPackages = ${JSON.stringify(externalPackages)};`);
     bundledCodeLines.push("");
+    bundledCodeLines.push(
+      "// React Refresh must hook into React DOM before React DOM is loaded;"
+    );
+    bundledCodeLines.push(
+      "// without it the preview still runs, but every update reloads it"
+    );
+    bundledCodeLines.push(`import(${JSON.stringify(REFRESH_RUNTIME)}).then(m => {`);
+    bundledCodeLines.push(
+      "  const runtime = m.injectIntoGlobalHook ? m : m.default;"
+    );
+    bundledCodeLines.push("  runtime.injectIntoGlobalHook(window);");
+    bundledCodeLines.push("  __refresh__ = runtime;");
+    bundledCodeLines.push("}).catch(err => {");
+    bundledCodeLines.push(
+      "  console.warn('[swc] React Refresh unavailable, hot updates disabled:', err.message);"
+    );
+    bundledCodeLines.push("}).then(() =>");
     bundledCodeLines.push(
       "// Load external packages into cache before executing modules"
     );
     bundledCodeLines.push("Promise.all(externalPackages.map(pkg =>");
     bundledCodeLines.push("  import(pkg).then(m => {");
-    bundledCodeLines.push("    __cache__[pkg] = m;");
-    bundledCodeLines.push("    console.log(`[swc] Preloaded: ${pkg}`);");
-    bundledCodeLines.push("  })");
-    bundledCodeLines.push(")).then(() => {");
-    bundledCodeLines.push("  // Execute entry point");
-    bundledCodeLines.push("  try {");
-    bundledCodeLines.push(`    __require__('${entryKey}');`);
     bundledCodeLines.push(
-      "    console.log('[swc] App executed successfully');"
+      "    // Flag as ES module so SWC's interop helpers keep default/named exports"
     );
-    bundledCodeLines.push("  } catch(err) {");
-    bundledCodeLines.push("    console.error('[swc] Execution error:', err);");
     bundledCodeLines.push(
-      "    document.getElementById('root').innerHTML = '<pre style=\"color:red\">' + err.message + '</pre>';"
+      "    __cache__[pkg] = Object.assign({ __esModule: true }, pkg === 'react-dom/client' ? __memoizeRoots__(m) : m);"
     );
+    bundledCodeLines.push("  })");
+    bundledCodeLines.push("))).then(() => {");
+    bundledCodeLines.push("  // Execute entry point");
+    bundledCodeLines.push("  try {");
+    bundledCodeLines.push(`    __load__(${JSON.stringify(entryKey)});`);
+    bundledCodeLines.push("    __ready__ = true;");
+    bundledCodeLines.push("  } catch(err) {");
+    bundledCodeLines.push("    // Report like an uncaught error so the playground sees its stack");
+    bundledCodeLines.push("    reportError(err);");
     bundledCodeLines.push("  }");
     bundledCodeLines.push("}).catch(err => {");
     bundledCodeLines.push(
-      "  console.error('[swc] Failed to preload packages:', err);"
-    );
-    bundledCodeLines.push(
-      "  document.getElementById('root').innerHTML = '<pre style=\"color:red\">Failed to load dependencies: ' + err.message + '</pre>';"
+      "  reportError(new Error('Failed to load dependencies: ' + err.message));"
     );
     bundledCodeLines.push("});");
 
     const bundledCode = bundledCodeLines.join("\n");
 
-    // Create HTML for iframe
-    const iframeHTML = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <script type="importmap">
-          {
-            "imports": {
-              "react": "https://esm.sh/react@19.2.3",
-              "react/jsx-runtime": "https://esm.sh/react@19.2.3/jsx-runtime",
-              "react-dom": "https://esm.sh/react-dom@19.2.3",
-              "react-dom/client": "https://esm.sh/react-dom@19.2.3/client"
-            }
-          }
-        </script>
-        <style>
-          * { box-sizing: border-box; margin: 0; padding: 0; }
-          body {
-            font-family: system-ui, -apple-system, sans-serif;
-            background: #000000;
-            color: #fafafa;
-          }
-        </style>
-      </head>
-      <body>
-        <div id="root"></div>
-        <script type="module">
-          ${bundledCode}
-        </script>
-      </body>
-      </html>
-    `;
-
-    // Create iframe for sandboxed execution
-    const iframe = document.createElement("iframe");
-    iframe.srcdoc = iframeHTML;
-    iframe.style.border = "none";
-    iframe.style.width = "100%";
-    iframe.style.height = "100%";
-    iframe.style.minHeight = "400px";
-
-    // Add necessary sandbox permissions
-    // Note: We allow scripts but NOT allow-same-origin to prevent sandbox escape
-    iframe.sandbox.add("allow-scripts");
-    iframe.sandbox.add("allow-popups");
-    iframe.sandbox.add("allow-forms");
-
-    rootEl.appendChild(iframe);
-
-    console.log("[swc] Execution complete in iframe");
-    return code;
+    // Each module's map starts at the bundle line its code was pushed to
+    let sourceMap = null;
+    if (sourceMaps) {
+      const lineStarts = [];
+      let line = 0;
+      for (const entry of bundledCodeLines) {
+        lineStarts.push(line);
+        line += entry.split("\n").length;
+      }
+      sourceMap = concatSourceMaps(
+        mapSections.map(({ map, index }) => ({ map, line: lineStarts[index] }))
+      );
+    }
+
+    const html = createPreviewHtml({
+      importMap,
+      script: bundledCode,
+      sourceMap,
+      themeColors
+    });
+
+    this.preview = {
+      entryKey,
+      themeKey: JSON.stringify(themeColors),
+      importMapKey: JSON.stringify(importMap),
+      modules: this.snapshotModules(moduleMap, dependencies)
+    };
+
+    return { code, moduleMap, sourceMaps, html, sourceMap, diagnostics };
   }
 
   /**
@@ -467,7 +773,8 @@ ${code}
       bundling: false,
       jsx: true,
       typescript: true,
-      multiFile: false,
+      multiFile: true,
+      hotUpdate: true,
       name: "swc",
       note: ""
     };
@@ -0,0 +1,116 @@
+/**
+ * Worker Runner
+ * Proxy for a runner that compiles in compiler-worker.js; the preview iframe
+ * is still created on the main thread (see WasmRunner.compileAndRun)
+ */
+
+import { WasmRunner } from "../wasm-runner.js";
+import { createWorkerClient } from "../worker-rpc.js";
+
+/**
+ * WorkerRunner - Runs another runner's initialize() and compile() in a Web Worker
+ */
+export class WorkerRunner extends WasmRunner {
+  /**
+   * @param {string} type - Runner type to run in the worker: 'esbuild', 'swc', etc.
+   * @param {Object} options - Runner options (see WasmRunner constructor)
+   */
+  constructor(type, options = {}) {
+    super(options);
+    this.type = type;
+    // Sent to the worker, which creates the resolver itself
+    this.packageResolverConfig = options.packageResolver;
+    this.client = null;
+    this.capabilities = null;
+    // Pending or finished initialize(), shared by concurrent callers
+    this.initializing = null;
+  }
+
+  /**
+   * Start the worker and initialize the runner inside it
+   * Concurrent calls share one start. When it fails, the worker is stopped
+   * so a later call starts over.
+   */
+  initialize() {
+    if (!this.initializing) {
+      this.initializing = this.startWorker();
+    }
+    return this.initializing;
+  }
+
+  /**
+   * Create the worker and wait for its runner to initialize
+   */
+  async startWorker() {
+    const client = createWorkerClient(
+      new Worker(new URL("../compiler-worker.js", import.meta.url), { type: "module" }),
+      "Compiler"
+    );
+    this.client = client;
+    if (this.fileSystem) {
+      client.syncFileSystem(this.fileSystem);
+    }
+
+    try {
+      this.capabilities = await this.call("initialize", this.type, {
+        runtime: this.runtime,
+        packageResolver: this.packageResolverConfig
+      });
+    } catch (error) {
+      // Unless dispose() already stopped this worker (and a new start began)
+      if (this.client === client) {
+        this.dispose();
+      }
+      throw error;
+    }
+    console.log(`[worker] Initialized ${this.type}`);
+  }
+
+  /**
+   * Call a method in the worker
+   * @returns {Promise} Resolves with the method's result
+   */
+  call(method, ...args) {
+    if (!this.client) {
+      return Promise.reject(
+        new Error("WorkerRunner not initialized. Call initialize() first.")
+      );
+    }
+    return this.client.call(method, ...args);
+  }
+
+  /**
+   * Compile in the worker
+   */
+  async compile(options = {}) {
+    return this.call("compile", options);
+  }
+
+  /**
+   * Compile and create the preview in the worker
+   */
+  async buildPreview(options = {}) {
+    return this.call("buildPreview", options);
+  }
+
+  /**
+   * Get capabilities of the runner in the worker
+   */
+  getCapabilities() {
+    if (!this.capabilities) {
+      throw new Error("WorkerRunner not initialized. Call initialize() first.");
+    }
+    return this.capabilities;
+  }
+
+  /**
+   * Stop the worker; the next initialize() starts a new one
+   */
+  dispose() {
+    if (this.client) {
+      this.client.terminate(new Error("Runner disposed"));
+      this.client = null;
+    }
+    this.initializing = null;
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Runtime Configuration
+ * What the preview iframe provides to compiled code: the React modules left
+ * external by the runners, their import map entries and the iframe document.
+ * A workspace can override it with a "runtime" field in its package.json:
+ *
+ *   "runtime": {
+ *     "versions": { "react": "18.3.1", "react-dom": "18.3.1" },
+ *     "imports": { "some-module": "https://example.com/some-module.js" }
+ *   }
+ *
+ * Versions other than the runtime's own are always loaded from esm.sh; extra
+ * imports are mapped as they are and left external too.
+ */
+
+import { RUNTIME_VERSIONS, getReactModules, getVendorUrl } from "./runtime-sources.js";
+import { parsePackageSpecifier } from "./package-resolver.js";
+import { createPreviewRuntimeScript } from "./preview-runtime.js";
+import { createSourceMapComments } from "./source-map.js";
+
+/**
+ * Packages whose version a workspace can pin
+ */
+export const RUNTIME_PACKAGES = ["react", "react-dom", "react-refresh"];
+
+/**
+ * Loaded by the SWC bundle before anything else, so not preloaded with the rest
+ */
+export const REFRESH_RUNTIME = "react-refresh/runtime";
+
+/**
+ * Colors passed to the preview as window.__THEME__
+ */
+export const THEME_COLORS = {
+  dark: {
+    bg: "#000000",
+    text: "#fafafa",
+    muted: "#e4e4e7",
+    code: "#a1a1a6",
+    codeBg: "#18181b"
+  },
+  light: {
+    bg: "#ffffff",
+    text: "#1f2937",
+    muted: "#6b7280",
+    code: "#374151",
+    codeBg: "#f3f4f6"
+  }
+};
+
+const EXACT_VERSION_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Check a workspace's "runtime" field
+ * @param {*} overrides - The field's value
+ * @param {string} path - The package.json it was read from, for errors
+ * @returns {Object} { versions, imports }
+ */
+function parseOverrides(overrides, path) {
+  if (overrides === undefined) {
+    return { versions: {}, imports: {} };
+  }
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error(`${path}: "runtime" must be an object`);
+  }
+
+  const versions = { ...overrides.versions };
+  for (const [name, version] of Object.entries(versions)) {
+    if (!RUNTIME_PACKAGES.includes(name)) {
+      throw new Error(
+        `${path}: cannot pin "${name}" in "runtime.versions" (only ${RUNTIME_PACKAGES.join(", ")})`
+      );
+    }
+    if (typeof version !== "string" || !EXACT_VERSION_PATTERN.test(version)) {
+      throw new Error(`${path}: the runtime version of "${name}" must be an exact version`);
+    }
+  }
+
+  const imports = { ...overrides.imports };
+  for (const [specifier, url] of Object.entries(imports)) {
+    if (typeof url !== "string") {
+      throw new Error(`${path}: the runtime import "${specifier}" must be a URL string`);
+    }
+  }
+
+  return { versions, imports };
+}
+
+/**
+ * Create the runtime configuration for a build
+ * @param {Object} options
+ * @param {string} options.source - 'cdn' or 'local' (see runtime-sources.js)
+ * @param {boolean} options.development - Use React's development builds (needed by React Refresh)
+ * @param {Object} options.workspacePackage - Workspace package.json (see readWorkspacePackage);
+ *   its "runtime" field overrides the defaults
+ * @returns {Object} { versions, importMap, isExternal(specifier) }
+ * @throws {Error} When the workspace's overrides are invalid
+ */
+export function createRuntimeConfig(options = {}) {
+  const { source, development = false, workspacePackage } = options;
+  const overrides = parseOverrides(
+    workspacePackage && workspacePackage.runtime,
+    workspacePackage && workspacePackage.path
+  );
+  const mode = development ? "development" : "production";
+
+  const versions = { ...RUNTIME_VERSIONS, ...overrides.versions };
+  const imports = {};
+
+  for (const [specifier, fileName] of getReactModules(mode)) {
+    const { name, subpath } = parsePackageSpecifier(specifier);
+    // The local copies are of the runtime's own versions only
+    if (source === "local" && versions[name] === RUNTIME_VERSIONS[name]) {
+      imports[specifier] = getVendorUrl(`react/${mode}/${fileName}`);
+    } else {
+      imports[specifier] =
+        `https://esm.sh/${name}@${versions[name]}${subpath ? `/${subpath}` : ""}` +
+        (development ? "?dev" : "");
+    }
+  }
+  Object.assign(imports, overrides.imports);
+
+  return {
+    versions: Object.fromEntries(RUNTIME_PACKAGES.map((name) => [name, versions[name]])),
+    importMap: { imports },
+
+    /**
+     * Check if a specifier is provided by the runtime's import map
+     */
+    isExternal(specifier) {
+      return Object.hasOwn(imports, specifier);
+    }
+  };
+}
+
+/**
+ * Escape "</script" in text inlined into a <script> element, which would
+ * otherwise close it early (SWC keeps it as is in string literals; "<\/"
+ * means the same in JavaScript strings, regular expressions and JSON)
+ */
+function escapeScriptContent(text) {
+  return text.replace(/<\/(script)/gi, "<\\/$1");
+}
+
+/**
+ * Create the preview iframe document
+ * @param {Object} options
+ * @param {Object} options.importMap - Import map (runtime config plus npm packages)
+ * @param {string} options.script - Module script that runs the app
+ * @param {Object|null} options.sourceMap - Source map (v3) of the script
+ * @param {Object} options.themeColors - Exposed as window.__THEME__
+ * @returns {string} HTML
+ */
+export function createPreviewHtml(options) {
+  const { importMap, script, sourceMap = null, themeColors = THEME_COLORS.dark } = options;
+
+  return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <script>${createPreviewRuntimeScript()}</script>
+        <script type="importmap">
+${escapeScriptContent(JSON.stringify(importMap, null, 2))}
+        </script>
+        <style>
+          * { box-sizing: border-box; margin: 0; padding: 0; }
+          body {
+            font-family: system-ui, -apple-system, sans-serif;
+            background: ${themeColors.bg};
+            color: ${themeColors.text};
+          }
+        </style>
+      </head>
+      <body>
+        <div id="root"></div>
+        <script>
+          window.__THEME__ = ${JSON.stringify(themeColors)};
+        </script>
+        <script type="module">${escapeScriptContent(script)}\n${createSourceMapComments(sourceMap)}</script>
+      </body>
+      </html>
+    `;
+}
@@ -0,0 +1,128 @@
+/**
+ * Runtime Sources
+ * Where the compiler WASM packages, the TypeScript type checker and the
+ * preview's React runtime are loaded from: public CDNs ("cdn"), or copies
+ * served by the app itself under vendor/ ("local", see vendorRuntime() in
+ * vite.config.js) for offline use. The preview's import map is built from
+ * these by runtime-config.js.
+ */
+
+const env = import.meta.env || {};
+
+/**
+ * Package versions; package.json pins the same versions for the local copies
+ */
+export const RUNTIME_VERSIONS = {
+  "esbuild-wasm": "0.27.1",
+  "@swc/wasm-web": "1.16.2",
+  react: "19.2.3",
+  "react-dom": "19.2.3",
+  "react-refresh": "0.17.0",
+  typescript: "5.9.3"
+};
+
+/**
+ * Directory the local copies are served from, under the app's base URL
+ */
+export const VENDOR_DIR = "vendor";
+
+/**
+ * Compiler files served as they are: vendor path → path inside node_modules
+ */
+export const VENDOR_FILES = {
+  "esbuild-wasm/browser.js": "esbuild-wasm/esm/browser.js",
+  "esbuild-wasm/esbuild.wasm": "esbuild-wasm/esbuild.wasm",
+  "swc/wasm.js": "@swc/wasm-web/wasm.js",
+  "swc/wasm_bg.wasm": "@swc/wasm-web/wasm_bg.wasm"
+};
+
+/**
+ * TypeScript, bundled from its CommonJS package into an ES module, and the
+ * directory its lib.*.d.ts files are served from
+ */
+export const TYPESCRIPT_MODULE = "typescript/typescript.js";
+export const TYPESCRIPT_LIB_DIR = "typescript/lib";
+
+/**
+ * React modules in the preview import map: specifier → vendor file name
+ * Local copies are bundled from the CommonJS packages into ES modules, under
+ * vendor/react/production/ and vendor/react/development/ (see getReactModules)
+ */
+export const REACT_MODULES = {
+  react: "react.js",
+  "react/jsx-runtime": "react-jsx-runtime.js",
+  "react/jsx-dev-runtime": "react-jsx-dev-runtime.js",
+  "react-dom": "react-dom.js",
+  "react-dom/client": "react-dom-client.js",
+  "react-refresh/runtime": "react-refresh-runtime.js"
+};
+
+// Only mapped with React's development builds (React Refresh refuses to run in production)
+const DEVELOPMENT_MODULES = ["react/jsx-dev-runtime", "react-refresh/runtime"];
+
+export const RUNTIME_SOURCES = ["cdn", "local"];
+
+/**
+ * Source used when a runner is not given one: set VITE_RUNTIME=local to use
+ * the local copies, otherwise the CDNs are used
+ */
+export const DEFAULT_RUNTIME_SOURCE = env.VITE_RUNTIME === "local" ? "local" : "cdn";
+
+/**
+ * Absolute URL of a local copy
+ * Absolute, because the preview's srcdoc iframe has no URL of its own to
+ * resolve against
+ */
+export function getVendorUrl(path) {
+  return new URL(`${env.BASE_URL || "/"}${VENDOR_DIR}/${path}`, globalThis.location.href).href;
+}
+
+/**
+ * Get the React modules mapped for a mode
+ * @param {string} mode - 'production' or 'development'
+ * @returns {Array<[string, string]>} [specifier, vendor file name] pairs
+ */
+export function getReactModules(mode) {
+  return Object.entries(REACT_MODULES).filter(
+    ([specifier]) => mode === "development" || !DEVELOPMENT_MODULES.includes(specifier)
+  );
+}
+
+/**
+ * Get the URLs a compiler is initialized from
+ * @param {string} compiler - 'esbuild', 'swc' or 'typescript'
+ * @param {string} source - 'cdn' or 'local'
+ * @returns {Object} { module, wasm } (SWC finds its WASM next to the module when wasm is null),
+ *   or { module, lib } for TypeScript, where lib is the URL of its lib.*.d.ts directory
+ */
+export function getCompilerUrls(compiler, source = DEFAULT_RUNTIME_SOURCE) {
+  const local = source === "local";
+
+  switch (compiler) {
+    case "esbuild": {
+      const cdn = `https://unpkg.com/esbuild-wasm@${RUNTIME_VERSIONS["esbuild-wasm"]}`;
+      return {
+        module: local ? getVendorUrl("esbuild-wasm/browser.js") : `${cdn}/esm/browser.js`,
+        wasm: local ? getVendorUrl("esbuild-wasm/esbuild.wasm") : `${cdn}/esbuild.wasm`
+      };
+    }
+    case "swc":
+      return {
+        module: local
+          ? getVendorUrl("swc/wasm.js")
+          : `https://esm.sh/@swc/wasm-web@${RUNTIME_VERSIONS["@swc/wasm-web"]}`,
+        wasm: local ? getVendorUrl("swc/wasm_bg.wasm") : null
+      };
+    case "typescript":
+      return {
+        module: local
+          ? getVendorUrl(TYPESCRIPT_MODULE)
+          : `https://esm.sh/typescript@${RUNTIME_VERSIONS.typescript}`,
+        lib: local
+          ? getVendorUrl(`${TYPESCRIPT_LIB_DIR}/`)
+          : `https://unpkg.com/typescript@${RUNTIME_VERSIONS.typescript}/lib/`
+      };
+    default:
+      throw new Error(`Unknown compiler: ${compiler}`);
+  }
+}
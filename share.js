@@ -0,0 +1,114 @@
+/**
+ * Workspace Sharing
+ * Encodes the whole workspace into a compact string for URL hashes and files
+ */
+
+import {
+  isWorkspacePath,
+  isBinaryPath,
+  isAssetDataUrl,
+  pipeBytes,
+  bytesToBase64,
+  base64ToBytes
+} from "./file-loader.js";
+
+const SHARE_PREFIX = "#share=";
+const SHARE_VERSION = 1;
+
+// Links above this length get a warning (chat apps and some browsers truncate)
+export const SHARE_URL_WARN_LENGTH = 8 * 1024;
+// Links above this length are not offered at all; a file is downloaded instead
+export const SHARE_URL_MAX_LENGTH = 64 * 1024;
+
+/**
+ * Encode bytes as URL-safe base64 without padding
+ */
+function toBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decode URL-safe base64 (padding optional)
+ */
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  return base64ToBytes(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+}
+
+/**
+ * Compress a workspace state into a URL-safe string
+ * @param {Object} state - { files, directories, deleted, openFile, compiler, typeCheck, options }
+ */
+export async function encodeWorkspace(state) {
+  const json = JSON.stringify({ version: SHARE_VERSION, ...state });
+  const compressed = await pipeBytes(
+    new TextEncoder().encode(json),
+    new CompressionStream("deflate-raw")
+  );
+  return toBase64Url(compressed);
+}
+
+/**
+ * Decompress a string produced by encodeWorkspace()
+ */
+export async function decodeWorkspace(encoded) {
+  const bytes = await pipeBytes(
+    fromBase64Url(encoded),
+    new DecompressionStream("deflate-raw")
+  );
+  return validateSharedWorkspace(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+/**
+ * Check a shared workspace (from a link or a downloaded file) before it is
+ * loaded: its format, that every path is a valid workspace path and that
+ * binary assets are base64 data URLs
+ * @returns {Object} The state
+ */
+export function validateSharedWorkspace(state) {
+  if (
+    !state ||
+    state.version !== SHARE_VERSION ||
+    typeof state.files !== "object" ||
+    state.files === null ||
+    !Array.isArray(state.directories ?? []) ||
+    !Array.isArray(state.deleted ?? [])
+  ) {
+    throw new Error("Unsupported shared workspace format");
+  }
+
+  const paths = [
+    ...Object.keys(state.files),
+    ...(state.directories ?? []),
+    ...(state.deleted ?? []),
+    ...(state.openFile ? [state.openFile] : [])
+  ];
+  const invalid = paths.find((path) => !isWorkspacePath(path));
+  if (invalid !== undefined) {
+    throw new Error(`Invalid path in shared workspace: ${String(invalid).slice(0, 100)}`);
+  }
+  if (Object.values(state.files).some((contents) => typeof contents !== "string")) {
+    throw new Error("Unsupported shared workspace format");
+  }
+  const asset = Object.keys(state.files).find(
+    (path) => isBinaryPath(path) && !isAssetDataUrl(state.files[path])
+  );
+  if (asset !== undefined) {
+    throw new Error(`Invalid asset in shared workspace: ${asset}`);
+  }
+  return state;
+}
+
+/**
+ * Build a permalink for the current page with the encoded workspace
+ */
+export function createShareUrl(encoded, location = window.location) {
+  return `${location.origin}${location.pathname}${location.search}${SHARE_PREFIX}${encoded}`;
+}
+
+/**
+ * Get the encoded workspace from a URL hash, if it has one
+ */
+export function getSharedWorkspaceFromHash(hash = window.location.hash) {
+  return hash.startsWith(SHARE_PREFIX) ? hash.slice(SHARE_PREFIX.length) : null;
+}
@@ -0,0 +1,277 @@
+/**
+ * Source Maps
+ * Minimal source map (v3) support: VLQ mappings, position lookup,
+ * concatenation of per-module maps and stack trace rewriting
+ */
+
+import { bytesToDataUrl } from "./file-loader.js";
+
+const BASE64_CHARS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+const BASE64_VALUES = Object.fromEntries(
+  Array.from(BASE64_CHARS, (char, index) => [char, index])
+);
+
+/**
+ * Name the preview bundle reports in stack traces (via //# sourceURL)
+ */
+export const BUNDLE_FILE = "preview-bundle.js";
+
+/**
+ * Decode a mappings string into absolute segments, one array per generated line
+ * Each segment is [generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex?],
+ * all zero-based
+ */
+export function decodeMappings(mappings) {
+  const lines = [];
+  const state = [0, 0, 0, 0, 0];
+
+  for (const line of mappings.split(";")) {
+    const segments = [];
+    state[0] = 0;
+
+    for (const segment of line.split(",")) {
+      if (!segment) continue;
+
+      const values = [];
+      let value = 0;
+      let shift = 0;
+      for (const char of segment) {
+        const digit = BASE64_VALUES[char];
+        if (digit === undefined) {
+          throw new Error(`Invalid source map mappings (character "${char}")`);
+        }
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+
+      const decoded = values.map((delta, index) => (state[index] += delta));
+      segments.push(decoded);
+    }
+
+    lines.push(segments);
+  }
+
+  return lines;
+}
+
+/**
+ * Encode absolute segments (as returned by decodeMappings) into a mappings string
+ */
+export function encodeMappings(lines) {
+  const state = [0, 0, 0, 0, 0];
+
+  const encodeValue = (number) => {
+    let value = number < 0 ? (-number << 1) | 1 : number << 1;
+    let encoded = "";
+    do {
+      let digit = value & 31;
+      value >>>= 5;
+      if (value > 0) digit |= 32;
+      encoded += BASE64_CHARS[digit];
+    } while (value > 0);
+    return encoded;
+  };
+
+  return lines
+    .map((segments) => {
+      state[0] = 0;
+      return segments
+        .map((segment) =>
+          segment
+            .map((value, index) => {
+              const delta = value - state[index];
+              state[index] = value;
+              return encodeValue(delta);
+            })
+            .join("")
+        )
+        .join(",");
+    })
+    .join(";");
+}
+
+/**
+ * Create a lookup object for a source map
+ * @param {Object|string} map - Source map (v3) object or JSON
+ * @returns {Object} { map, originalPositionFor(line, column) }
+ */
+export function createSourceMapConsumer(map) {
+  const sourceMap = typeof map === "string" ? JSON.parse(map) : map;
+  const lines = decodeMappings(sourceMap.mappings || "");
+
+  return {
+    map: sourceMap,
+
+    /**
+     * Find the original position of a generated position
+     * @param {number} line - One-based generated line
+     * @param {number} column - Zero-based generated column
+     * @returns {Object|null} { source, line, column, name } (line one-based)
+     */
+    originalPositionFor(line, column) {
+      const segments = lines[line - 1];
+      if (!segments) return null;
+
+      let match = null;
+      for (const segment of segments) {
+        if (segment[0] > column) break;
+        if (segment.length >= 4) match = segment;
+      }
+      if (!match) return null;
+
+      return {
+        source: sourceMap.sources[match[1]],
+        line: match[2] + 1,
+        column: match[3],
+        name: match.length === 5 ? sourceMap.names[match[4]] : null
+      };
+    },
+
+    /**
+     * Find the mapped range of generated code at a position, and where it came from
+     * @param {number} line - One-based generated line
+     * @param {number} column - Zero-based generated column
+     * @returns {Object|null} { startColumn, endColumn, source, line, column }: the
+     *   range's generated columns (endColumn null at the end of the line) and its
+     *   original position (line one-based, column zero-based)
+     */
+    mappingAt(line, column) {
+      const segments = lines[line - 1];
+      if (!segments) return null;
+
+      let index = -1;
+      while (index + 1 < segments.length && segments[index + 1][0] <= column) {
+        index++;
+      }
+      const segment = segments[index];
+      if (!segment || segment.length < 4) return null;
+
+      return {
+        startColumn: segment[0],
+        endColumn: index + 1 < segments.length ? segments[index + 1][0] : null,
+        source: sourceMap.sources[segment[1]],
+        line: segment[2] + 1,
+        column: segment[3]
+      };
+    }
+  };
+}
+
+/**
+ * Concatenate per-module source maps into a single map for a bundle
+ * @param {Array<{map: Object, line: number}>} sections - Maps with the zero-based
+ *   bundle line their module's code starts at
+ * @returns {Object} Source map (v3)
+ */
+export function concatSourceMaps(sections, file = BUNDLE_FILE) {
+  const sources = [];
+  const sourcesContent = [];
+  const names = [];
+  const lines = [];
+
+  for (const { map, line } of sections) {
+    const sourceOffset = sources.length;
+    const nameOffset = names.length;
+    sources.push(...map.sources);
+    sourcesContent.push(
+      ...map.sources.map((source, index) => map.sourcesContent?.[index] ?? null)
+    );
+    names.push(...(map.names || []));
+
+    decodeMappings(map.mappings).forEach((segments, index) => {
+      lines[line + index] = segments.map((segment) => {
+        if (segment.length < 4) return segment;
+        const shifted = [segment[0], segment[1] + sourceOffset, segment[2], segment[3]];
+        if (segment.length === 5) shifted.push(segment[4] + nameOffset);
+        return shifted;
+      });
+    });
+  }
+
+  return {
+    version: 3,
+    file,
+    sources,
+    sourcesContent,
+    names,
+    mappings: encodeMappings(Array.from(lines, (segments) => segments || []))
+  };
+}
+
+/**
+ * Create the comments that name a preview script and attach its map for devtools
+ * @param {Object|null} map - Source map (v3) for the script
+ * @param {string} file - Name the script reports in stack traces
+ */
+export function createSourceMapComments(map, file = BUNDLE_FILE) {
+  const comments = [`//# sourceURL=${file}`];
+  if (map) {
+    const json = new TextEncoder().encode(JSON.stringify(map));
+    comments.push(`//# sourceMappingURL=${bytesToDataUrl(json, "application/json")}`);
+  }
+  return comments.join("\n");
+}
+
+/**
+ * Parse a V8 ("at fn (file:1:2)") or Firefox/Safari ("fn@file:1:2") stack trace
+ * @returns {Array<Object>} { functionName, file, line, column } (column one-based)
+ */
+export function parseStackTrace(stack) {
+  const frames = [];
+
+  for (const text of String(stack || "").split("\n")) {
+    const match =
+      text.match(/^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?\s*$/) ||
+      text.match(/^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/);
+    if (!match) continue;
+
+    frames.push({
+      functionName: match[1] || "",
+      file: match[2],
+      line: Number(match[3]),
+      column: Number(match[4])
+    });
+  }
+
+  return frames;
+}
+
+/**
+ * Rewrite the frames of a stack trace to original positions
+ * Frames in scripts without a map (React, the browser) are kept as they are.
+ * @param {string} stack - Error stack
+ * @param {Map<string, Object>} consumers - Source map consumers keyed by the
+ *   script name frames report (see createSourceMapComments)
+ * @returns {Array<Object>} { functionName, file, line, column, mapped }
+ */
+export function mapStackTrace(stack, consumers) {
+  return parseStackTrace(stack).map((frame) => {
+    let consumer = null;
+    for (const [file, candidate] of consumers) {
+      if (frame.file.endsWith(file)) consumer = candidate;
+    }
+    if (!consumer) {
+      return { ...frame, mapped: false };
+    }
+
+    const original = consumer.originalPositionFor(frame.line, frame.column - 1);
+    if (!original || !original.source) {
+      return { ...frame, mapped: false };
+    }
+
+    return {
+      functionName: frame.functionName,
+      file: original.source,
+      line: original.line,
+      column: original.column + 1,
+      mapped: true
+    };
+  });
+}
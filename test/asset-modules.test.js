@@ -0,0 +1,65 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createJsonModule, createTextModule, createAssetModule } from "../asset-modules.js";
+
+// Evaluate a generated module the way the preview would
+const importModule = (code) => import(`data:text/javascript,${encodeURIComponent(code)}`);
+
+describe("createJsonModule", () => {
+  it("exports the value as default and its identifier keys by name", async () => {
+    const module = await importModule(
+      createJsonModule('{"name":"demo","version":"1.0","items":[1,2],"a-b":3}', "/src/package.json")
+    );
+
+    assert.deepEqual(module.default, { name: "demo", version: "1.0", items: [1, 2], "a-b": 3 });
+    assert.equal(module.name, "demo");
+    assert.deepEqual(module.items, [1, 2]);
+    assert.equal("a-b" in module, false);
+  });
+
+  it("exports keys that are reserved words or clash with the module's locals", async () => {
+    const module = await importModule(
+      createJsonModule(
+        '{"class":"c","new":1,"private":true,"data":"d","key0":"k","default":"x"}',
+        "/src/config.json"
+      )
+    );
+
+    assert.equal(module.class, "c");
+    assert.equal(module.new, 1);
+    assert.equal(module.private, true);
+    assert.equal(module.data, "d");
+    assert.equal(module.key0, "k");
+    assert.equal(module.default.default, "x");
+  });
+
+  it("has only a default export for arrays and primitives", async () => {
+    assert.deepEqual(Object.keys(await importModule(createJsonModule("[1,2]", "/src/a.json"))), [
+      "default"
+    ]);
+    assert.equal((await importModule(createJsonModule("42", "/src/n.json"))).default, 42);
+  });
+
+  it("reports invalid JSON with the module ID", () => {
+    assert.throws(() => createJsonModule("{bad", "/src/bad.json"), /\/src\/bad\.json: invalid JSON/);
+  });
+});
+
+describe("createAssetModule", () => {
+  it("turns text files and ?raw imports into string modules", async () => {
+    const text = "# Notes\n<script>alert(1)</script>\n";
+    assert.equal((await importModule(createTextModule(text))).default, text);
+
+    const raw = createAssetModule({
+      contents: "export {};",
+      loader: "text",
+      query: "raw",
+      resolvedPath: "/src/entry.tsx"
+    });
+    assert.equal((await importModule(raw)).default, "export {};");
+  });
+
+  it("leaves JavaScript and TypeScript files alone", () => {
+    assert.equal(createAssetModule({ contents: "", loader: "tsx", query: "" }), null);
+  });
+});
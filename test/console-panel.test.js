@@ -0,0 +1,102 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { createPreviewRuntimeScript, PREVIEW_MESSAGE_SOURCE } from "../preview-runtime.js";
+import { createConsolePanel } from "../console-panel.js";
+
+/**
+ * Run the preview runtime script in a context of its own
+ * @returns {Object} { context, messages, evaluate(expression) } where messages
+ *   collects what the script posts to the parent window
+ */
+function startPreview() {
+  const messages = [];
+  const listeners = {};
+  const parent = { postMessage: (message) => messages.push(message) };
+  const silent = () => {};
+  const context = vm.createContext({
+    console: { log: silent, info: silent, warn: silent, error: silent, debug: silent, table: silent, clear: silent },
+    window: {
+      parent,
+      addEventListener: (type, listener) => {
+        (listeners[type] ??= []).push(listener);
+      }
+    }
+  });
+  vm.runInContext(createPreviewRuntimeScript(), context);
+
+  const evaluate = async (expression) => {
+    const data = { source: PREVIEW_MESSAGE_SOURCE, type: "eval", id: 1, expression };
+    await Promise.all(listeners.message.map((listener) => listener({ source: parent, data })));
+    return messages.pop();
+  };
+
+  return { context, messages, evaluate };
+}
+
+/**
+ * Stands in for an element the panel listens to
+ */
+class FakeElement extends EventTarget {
+  constructor() {
+    super();
+    this.children = [];
+    this.dataset = {};
+    this.scrollTop = 0;
+    this.scrollHeight = 0;
+    this.clientHeight = 0;
+  }
+
+  get childElementCount() {
+    return this.children.length;
+  }
+
+  appendChild(child) {
+    this.children.push(child);
+  }
+}
+
+describe("console panel", () => {
+  let output;
+  let panel;
+
+  beforeEach(() => {
+    globalThis.document = { createElement: () => ({}) };
+    output = new FakeElement();
+    panel = createConsolePanel({
+      output,
+      form: new FakeElement(),
+      input: new FakeElement(),
+      filters: new FakeElement(),
+      clearButton: new FakeElement()
+    });
+  });
+
+  afterEach(() => {
+    delete globalThis.document;
+  });
+
+  it("renders booleans logged in the preview", () => {
+    const { context, messages } = startPreview();
+    vm.runInContext("console.log(true, false, { ok: true })", context);
+
+    assert.equal(panel.handleMessage(messages.pop()), true);
+    const html = output.children[0].innerHTML;
+    assert.match(html, /^<span class="console-keyword">true<\/span> <span class="console-keyword">false<\/span>/);
+    assert.match(html, /ok<\/span>: <span class="console-keyword">true<\/span>/);
+  });
+
+  it("renders the boolean result of an evaluated expression", async () => {
+    const { evaluate } = startPreview();
+
+    panel.handleMessage(await evaluate("1 === 1"));
+    panel.handleMessage(await evaluate("1 === 2"));
+    assert.deepEqual(
+      output.children.map((entry) => entry.innerHTML),
+      [
+        '<span class="console-prompt">‹</span> <span class="console-keyword">true</span>',
+        '<span class="console-prompt">‹</span> <span class="console-keyword">false</span>'
+      ]
+    );
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createDiagnostic,
+  createCompileError,
+  formatDiagnostic,
+  formatPosition
+} from "../diagnostics.js";
+import { createProblemsPanel } from "../problems-panel.js";
+
+const located = createDiagnostic({
+  source: "typescript",
+  severity: "error",
+  message: "Type 'string' is not assignable to type 'number'.",
+  code: "TS2322",
+  file: "/src/entry.tsx",
+  line: 3,
+  column: 7
+});
+// e.g. an import swc-runner.js could not find in its file
+const unlocated = createDiagnostic({
+  source: "swc",
+  severity: "error",
+  message: 'Could not resolve "./missing"',
+  file: "/src/entry.tsx"
+});
+
+describe("formatDiagnostic", () => {
+  it("prints the file and position", () => {
+    assert.equal(
+      formatDiagnostic(located),
+      "/src/entry.tsx:3:7: error TS2322: Type 'string' is not assignable to type 'number'."
+    );
+  });
+
+  it("leaves out a position the diagnostic does not have", () => {
+    assert.equal(formatDiagnostic(unlocated), '/src/entry.tsx: error: Could not resolve "./missing"');
+    assert.equal(
+      formatDiagnostic({ ...unlocated, line: 4 }),
+      '/src/entry.tsx:4: error: Could not resolve "./missing"'
+    );
+    assert.equal(
+      formatDiagnostic({ ...unlocated, file: null }),
+      'error: Could not resolve "./missing"'
+    );
+    assert.equal(
+      createCompileError([unlocated]).message,
+      '/src/entry.tsx: error: Could not resolve "./missing"'
+    );
+  });
+
+  it("formats positions", () => {
+    assert.equal(formatPosition(located), "3:7");
+    assert.equal(formatPosition({ line: 1, column: null }), "1");
+    assert.equal(formatPosition(unlocated), "");
+  });
+});
+
+describe("problems panel", () => {
+  it("shows a position only for problems that have one", () => {
+    const list = new EventTarget();
+    const summary = {};
+    const panel = createProblemsPanel({ list, summary }, { open() {} });
+
+    panel.setDiagnostics("compile", [unlocated, located]);
+    const positions = list.innerHTML.match(/<span class="problem-meta">.*<\/span>/g);
+    assert.deepEqual(positions, [
+      '<span class="problem-meta">swc</span>',
+      '<span class="problem-meta">TS2322 (3:7)</span>'
+    ]);
+    assert.doesNotMatch(list.innerHTML, /null/);
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  extractImportSpecifiers,
+  findBrokenImports,
+  createVirtualFileSystem,
+  bytesToBase64,
+  base64ToBytes,
+  bytesToDataUrl,
+  dataUrlToBytes,
+  isAssetDataUrl,
+  pipeBytes,
+  resolveImportSpecifier,
+  loadModule
+} from "../file-loader.js";
+
+describe("extractImportSpecifiers", () => {
+  it("finds static, re-exported, side-effect and dynamic imports", () => {
+    const code = [
+      'import React from "react";',
+      "import { a, b } from './lib/a';",
+      'import type { Props } from "./types";',
+      'import "./styles.css";',
+      'export * from "./c";',
+      "export { d } from './d';",
+      'const lazy = import("./lazy");'
+    ].join("\n");
+
+    assert.deepEqual(extractImportSpecifiers(code).sort(), [
+      "./c",
+      "./d",
+      "./lazy",
+      "./lib/a",
+      "./styles.css",
+      "./types",
+      "react"
+    ]);
+  });
+
+  it("ignores imports in comments", () => {
+    const code = [
+      "// import y from './zz'",
+      '/* import z from "./block" */',
+      "/**",
+      ' * import w from "./doc"',
+      " */",
+      'import a from "./a";'
+    ].join("\n");
+
+    assert.deepEqual(extractImportSpecifiers(code), ["./a"]);
+  });
+
+  it("ignores imports in strings, template literals and regular expressions", () => {
+    const code = [
+      "const s = \"import q from './q'\";",
+      "const t = `import r from './r'`;",
+      'const re = /import x from "\\/x"/g;',
+      "const n = a / 2; import e from './e';"
+    ].join("\n");
+
+    assert.deepEqual(extractImportSpecifiers(code), ["./e"]);
+  });
+
+  it("keeps imports written after JSX closing tags", () => {
+    const code = 'const el = <div>hi</div>; import f from "./f";';
+    assert.deepEqual(extractImportSpecifiers(code), ["./f"]);
+  });
+});
+
+describe("findBrokenImports", () => {
+  it("reports workspace imports without a file, but not commented ones", () => {
+    const fileSystem = createVirtualFileSystem();
+    fileSystem.writeFile(
+      "/src/entry.tsx",
+      [
+        'import React from "react";',
+        'import { cn } from "@/lib/utils";',
+        'import Missing from "./missing";',
+        "// import Old from './old'"
+      ].join("\n")
+    );
+    fileSystem.writeFile("/src/lib/utils.js", "export const cn = () => '';");
+
+    assert.deepEqual(findBrokenImports(fileSystem), [
+      { file: "/src/entry.tsx", specifier: "./missing" }
+    ]);
+  });
+});
+
+describe("byte helpers", () => {
+  it("round-trips bytes through base64, across chunk boundaries", () => {
+    const bytes = Uint8Array.from({ length: 0x8000 * 2 + 5 }, (_, index) => index % 256);
+    assert.equal(bytesToBase64(Uint8Array.of(0, 255, 1)), "AP8B");
+    assert.deepEqual(base64ToBytes(bytesToBase64(bytes)), bytes);
+  });
+
+  it("round-trips bytes through data URLs", () => {
+    const bytes = Uint8Array.of(137, 80, 78, 71);
+    const dataUrl = bytesToDataUrl(bytes, "image/png");
+    assert.equal(dataUrl, "data:image/png;base64,iVBORw==");
+    assert.deepEqual(dataUrlToBytes(dataUrl), bytes);
+  });
+
+  it("accepts only well-formed base64 data URLs as assets", () => {
+    assert.equal(isAssetDataUrl(bytesToDataUrl(Uint8Array.of(1, 2), "image/png")), true);
+    assert.equal(isAssetDataUrl("data:image/svg+xml;base64,"), true);
+    assert.equal(isAssetDataUrl('data:image/png,x" onerror="alert(1)'), false);
+    assert.equal(isAssetDataUrl("data:image/png;base64,AA==\"x"), false);
+    assert.equal(isAssetDataUrl("data:;base64,AA=="), false);
+    assert.equal(isAssetDataUrl(null), false);
+  });
+
+  it("pipes bytes through compression streams", async () => {
+    const bytes = new TextEncoder().encode("hello ".repeat(100));
+    const compressed = await pipeBytes(bytes, new CompressionStream("deflate-raw"));
+    assert.ok(compressed.length < bytes.length);
+    assert.deepEqual(await pipeBytes(compressed, new DecompressionStream("deflate-raw")), bytes);
+  });
+});
+
+describe("resolveImportSpecifier", () => {
+  it("keeps @/ paths and turns module IDs into them", () => {
+    assert.equal(resolveImportSpecifier("@/lib/utils", "/src/entry.tsx"), "@/lib/utils");
+    assert.equal(resolveImportSpecifier("/src/lib/utils.js", "/src/entry.tsx"), "@/lib/utils.js");
+  });
+
+  it("resolves relative imports against the importing file", () => {
+    assert.equal(resolveImportSpecifier("./button", "/src/components/ui/card.tsx"), "@/components/ui/button");
+    assert.equal(resolveImportSpecifier("../../lib/utils", "/src/components/ui/card.tsx"), "@/lib/utils");
+    assert.equal(resolveImportSpecifier("./a/./b/../c", "/src/entry.tsx"), "@/a/c");
+  });
+
+  it("returns null for packages and URLs", () => {
+    assert.equal(resolveImportSpecifier("react", "/src/entry.tsx"), null);
+    assert.equal(resolveImportSpecifier("@scope/pkg/sub", "/src/entry.tsx"), null);
+    assert.equal(resolveImportSpecifier("https://esm.sh/x", "/src/entry.tsx"), null);
+  });
+
+  it("throws for relative imports that leave the base folder", () => {
+    assert.throws(() => resolveImportSpecifier("../x", "/src/entry.tsx"), /outside \/src\//);
+    assert.throws(() => resolveImportSpecifier("../../../x", "/src/a/b.tsx"), /outside/);
+    assert.throws(() => resolveImportSpecifier("../src-other/x", "/src/entry.tsx"), /outside/);
+  });
+
+  it("honours another base folder", () => {
+    assert.equal(resolveImportSpecifier("./x", "/app/entry.tsx", "/app"), "@/x");
+    assert.throws(() => resolveImportSpecifier("../src/x", "/app/entry.tsx", "/app"), /outside \/app\//);
+  });
+});
+
+describe("loadModule", () => {
+  const fileSystem = createVirtualFileSystem();
+  fileSystem.writeFile("/src/entry.tsx", "");
+  fileSystem.writeFile("/src/x.tsx", "export const x = 1;");
+  fileSystem.writeFile("/src/lib/utils.js", "");
+
+  it("gives every specifier of a file the same module ID", async () => {
+    for (const [specifier, importer] of [
+      ["@/lib/utils", ""],
+      ["./lib/utils", "/src/entry.tsx"],
+      ["../lib/utils.js", "/src/components/button.tsx"]
+    ]) {
+      const file = await loadModule(specifier, importer, { fileSystem });
+      assert.equal(file.id, "/src/lib/utils.js");
+    }
+  });
+
+  it("does not load a file for an import that leaves the base folder", async () => {
+    await assert.rejects(
+      loadModule("../x", "/src/entry.tsx", { fileSystem }),
+      /Could not resolve "\.\.\/x": it points outside \/src\/ \(imported from \/src\/entry\.tsx\)/
+    );
+  });
+
+  it("reports imports that leave the base folder as broken", () => {
+    const workspace = createVirtualFileSystem();
+    workspace.writeFile("/src/entry.tsx", 'import x from "../x";');
+    workspace.writeFile("/src/x.tsx", "");
+    assert.deepEqual(findBrokenImports(workspace), [{ file: "/src/entry.tsx", specifier: "../x" }]);
+  });
+});
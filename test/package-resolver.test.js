@@ -0,0 +1,148 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isBareSpecifier,
+  parsePackageSpecifier,
+  pickVersion,
+  checkPackageImport,
+  readWorkspacePackage
+} from "../package-resolver.js";
+import { createVirtualFileSystem } from "../file-loader.js";
+
+const available = {
+  versions: [
+    "0.1.0",
+    "0.1.5",
+    "0.2.0",
+    "1.0.0",
+    "1.2.0",
+    "1.2.3",
+    "1.2.9",
+    "1.3.0-beta.1",
+    "1.3.0",
+    "1.10.0",
+    "2.0.0-rc.1",
+    "2.0.0",
+    "2.1.0",
+    "3.0.0-alpha.0"
+  ],
+  tags: { latest: "2.1.0", next: "3.0.0-alpha.0" }
+};
+
+describe("pickVersion", () => {
+  const cases = [
+    // Caret: changes that keep the left-most non-zero part
+    ["^1.2.3", "1.10.0"],
+    ["^1.2", "1.10.0"],
+    ["^1", "1.10.0"],
+    ["^0.1.0", "0.1.5"],
+    ["^0.2", "0.2.0"],
+    // Tilde: patch changes (minor changes when only a major is given)
+    ["~1.2.3", "1.2.9"],
+    ["~1.2", "1.2.9"],
+    ["~1", "1.10.0"],
+    // Exact, partial and wildcard versions
+    ["1.2.3", "1.2.3"],
+    ["=1.2.3", "1.2.3"],
+    ["v1.2.3", "1.2.3"],
+    ["1.2", "1.2.9"],
+    ["1.x", "1.10.0"],
+    ["1.2.*", "1.2.9"],
+    ["*", "2.1.0"],
+    ["", "2.1.0"],
+    // Comparators, sets, alternatives and hyphen ranges
+    [">=1.2.0 <1.3.0", "1.2.9"],
+    [">1.2.3 <=1.3.0", "1.3.0"],
+    ["> 1.2", "2.1.0"],
+    ["<1.2", "1.0.0"],
+    ["<=1.2", "1.2.9"],
+    ["<0.2 || ~1.2.0", "1.2.9"],
+    ["1.2 - 1.3", "1.3.0"],
+    // Prereleases only match ranges that name one on the same version
+    ["^1.3.0-beta.0", "1.10.0"],
+    ["1.3.0-beta.1", "1.3.0-beta.1"],
+    [">=2.0.0-rc.0 <2.0.0", "2.0.0-rc.1"],
+    ["^2", "2.1.0"],
+    // Dist-tags
+    ["latest", "2.1.0"],
+    ["next", "3.0.0-alpha.0"]
+  ];
+
+  for (const [range, expected] of cases) {
+    it(`picks ${expected} for "${range}"`, () => {
+      assert.equal(pickVersion(available, range), expected);
+    });
+  }
+
+  it("fails when no version matches", () => {
+    assert.throws(() => pickVersion(available, "^4"), /no published version matches "\^4"/);
+    assert.throws(() => pickVersion(available, "<0.1.0"), /no published version/);
+  });
+
+  it("fails for ranges it cannot parse, and for unknown tags", () => {
+    assert.throws(() => pickVersion(available, "github:user/repo"), /unsupported version range/);
+    assert.throws(() => pickVersion(available, "constructor"), /unsupported version range/);
+  });
+});
+
+describe("package specifiers", () => {
+  it("tells package imports from workspace imports and URLs", () => {
+    assert.equal(isBareSpecifier("lodash/fp"), true);
+    assert.equal(isBareSpecifier("@scope/pkg"), true);
+    for (const specifier of ["./a", "../a", "/src/a", "@/a", "https://esm.sh/a", "data:text/javascript,"]) {
+      assert.equal(isBareSpecifier(specifier), false, specifier);
+    }
+  });
+
+  it("splits package names and subpaths", () => {
+    assert.deepEqual(parsePackageSpecifier("lodash/fp/map"), { name: "lodash", subpath: "fp/map" });
+    assert.deepEqual(parsePackageSpecifier("@scope/pkg/feature"), {
+      name: "@scope/pkg",
+      subpath: "feature"
+    });
+    assert.deepEqual(parsePackageSpecifier("react"), { name: "react", subpath: "" });
+  });
+});
+
+describe("checkPackageImport", () => {
+  const workspacePackage = { path: "/src/package.json", dependencies: { lodash: "^4" } };
+
+  it("allows React and declared dependencies", () => {
+    assert.equal(checkPackageImport("react-dom/client", workspacePackage), null);
+    assert.equal(checkPackageImport("lodash/fp", workspacePackage), null);
+  });
+
+  it("rejects packages that are not declared, including Object.prototype keys", () => {
+    for (const name of ["zod", "constructor", "toString", "__proto__"]) {
+      assert.equal(
+        checkPackageImport(name, workspacePackage),
+        `Package "${name}" is not listed in the dependencies of /src/package.json`
+      );
+    }
+  });
+});
+
+describe("readWorkspacePackage", () => {
+  it("reads the dependencies and runtime overrides of src/package.json", async () => {
+    const fileSystem = createVirtualFileSystem();
+    fileSystem.writeFile(
+      "/src/package.json",
+      JSON.stringify({ dependencies: { lodash: "^4" }, runtime: { imports: {} } })
+    );
+
+    assert.deepEqual(await readWorkspacePackage({ fileSystem }), {
+      path: "/src/package.json",
+      dependencies: { lodash: "^4" },
+      runtime: { imports: {} }
+    });
+  });
+
+  it("reports invalid files", async () => {
+    const fileSystem = createVirtualFileSystem();
+    fileSystem.writeFile("/src/package.json", "{");
+    await assert.rejects(readWorkspacePackage({ fileSystem }), /invalid JSON/);
+
+    fileSystem.writeFile("/src/package.json", '{"dependencies":{"lodash":4}}');
+    await assert.rejects(readWorkspacePackage({ fileSystem }), /must be a string/);
+  });
+});
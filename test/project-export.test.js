@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createZip } from "../zip.js";
+import { exportProjectZip, importProjectZip } from "../project-export.js";
+import { createVirtualFileSystem } from "../file-loader.js";
+
+describe("importProjectZip", () => {
+  it("imports the src/ folder of a project, without a top-level folder", async () => {
+    const archive = await createZip([
+      { path: "my-app/package.json", data: '{"dependencies":{"react":"19","lodash":"^4"}}' },
+      { path: "my-app/index.html", data: "<!doctype html>" },
+      { path: "my-app/src/entry.tsx", data: "export {};" },
+      { path: "my-app/src/lib/utils.js", data: "export const a = 1;" },
+      { path: "my-app/node_modules/x/index.js", data: "" }
+    ]);
+
+    const { files } = await importProjectZip(archive);
+    assert.deepEqual(Object.keys(files).sort(), [
+      "/src/entry.tsx",
+      "/src/lib/utils.js",
+      "/src/package.json"
+    ]);
+    assert.deepEqual(JSON.parse(files["/src/package.json"]), {
+      dependencies: { lodash: "^4" }
+    });
+  });
+
+  it("skips entries whose path is not a valid workspace path", async () => {
+    const archive = await createZip([
+      { path: "src/entry.tsx", data: "export {};" },
+      { path: "src/<img src=x onerror=alert(1)>.tsx", data: "" },
+      { path: "src/a\"b.tsx", data: "" },
+      { path: "src//double.tsx", data: "" },
+      { path: "src/../escape.tsx", data: "" }
+    ]);
+
+    const { files } = await importProjectZip(archive);
+    assert.deepEqual(Object.keys(files), ["/src/entry.tsx"]);
+  });
+
+  it("imports binary files as base64 data URLs", async () => {
+    const archive = await createZip([
+      { path: "src/logo.png", data: Uint8Array.of(137, 80, 78, 71) }
+    ]);
+
+    const { files } = await importProjectZip(archive);
+    assert.deepEqual(files, { "/src/logo.png": "data:image/png;base64,iVBORw==" });
+  });
+
+  it("rejects an archive without source files", async () => {
+    const archive = await createZip([{ path: "src/<bad>.tsx", data: "" }]);
+    await assert.rejects(importProjectZip(archive), /no source files/);
+  });
+
+  it("reads back what exportProjectZip wrote", async () => {
+    const fileSystem = createVirtualFileSystem();
+    fileSystem.writeFile("/src/entry.tsx", "export default 1;");
+    fileSystem.writeFile("/src/components/button.tsx", "export const Button = 1;");
+
+    const { files } = await importProjectZip(await exportProjectZip(fileSystem));
+    assert.deepEqual(files, {
+      "/src/components/button.tsx": "export const Button = 1;",
+      "/src/entry.tsx": "export default 1;"
+    });
+  });
+});
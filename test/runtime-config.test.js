@@ -0,0 +1,22 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createPreviewHtml } from "../runtime-config.js";
+
+describe("createPreviewHtml", () => {
+  it("keeps </script> in the inlined script from closing it early", () => {
+    const script = 'const notes = "<script>alert(1)</script>"; const page = `</SCRIPT >`;';
+    const html = createPreviewHtml({
+      importMap: { imports: { "x</script>": "https://example.com/x.js" } },
+      script
+    });
+
+    const module = html.match(/<script type="module">([\s\S]*?)<\/script>/i)[1];
+    assert.ok(module.startsWith('const notes = "<script>alert(1)<\\/script>"; const page = `<\\/SCRIPT >`;'));
+    // The runtime, import map, theme and module scripts, and nothing else
+    assert.equal(html.match(/<\/script/gi).length, 4);
+    const importMap = html.match(/<script type="importmap">([\s\S]*?)<\/script>/)[1];
+    assert.deepEqual(JSON.parse(importMap), {
+      imports: { "x</script>": "https://example.com/x.js" }
+    });
+  });
+});
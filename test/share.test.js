@@ -0,0 +1,117 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  encodeWorkspace,
+  decodeWorkspace,
+  validateSharedWorkspace,
+  createShareUrl,
+  getSharedWorkspaceFromHash
+} from "../share.js";
+
+const state = {
+  files: {
+    "/src/entry.tsx": 'import { cn } from "@/lib/utils";\n',
+    "/src/lib/utils.js": "export const cn = (...names) => names.join(' ');\n",
+    "/src/notes/ünïcode 😀.md": "# Ünïcode\n"
+  },
+  directories: ["/src/empty"],
+  deleted: ["/src/old.tsx"],
+  openFile: "/src/entry.tsx",
+  compiler: "swc",
+  options: { entryPoint: "@/entry" }
+};
+
+describe("encodeWorkspace / decodeWorkspace", () => {
+  it("round-trips a workspace through a URL-safe string", async () => {
+    const encoded = await encodeWorkspace(state);
+
+    assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(await decodeWorkspace(encoded), { version: 1, ...state });
+  });
+
+  it("rejects text that is not an encoded workspace", async () => {
+    await assert.rejects(decodeWorkspace("not-a-workspace"));
+  });
+
+  it("rejects a link with a file path that is not a workspace path", async () => {
+    for (const path of [
+      "/src/<img src=x onerror=alert(1)>.tsx",
+      '/src/a"b.tsx',
+      "/src/../outside.tsx",
+      "/src//entry.tsx",
+      "/elsewhere/entry.tsx"
+    ]) {
+      const encoded = await encodeWorkspace({ files: { [path]: "" } });
+      await assert.rejects(decodeWorkspace(encoded), /Invalid path/, path);
+    }
+  });
+});
+
+describe("validateSharedWorkspace", () => {
+  it("accepts a valid state and returns it", () => {
+    const shared = { version: 1, ...state };
+    assert.equal(validateSharedWorkspace(shared), shared);
+  });
+
+  it("checks folders, deleted files and the open file too", () => {
+    for (const invalid of [
+      { directories: ["/src/<b>"] },
+      { deleted: ["/src/./x.tsx"] },
+      { openFile: "/src/'x'.tsx" }
+    ]) {
+      assert.throws(
+        () => validateSharedWorkspace({ version: 1, files: {}, ...invalid }),
+        /Invalid path/
+      );
+    }
+  });
+
+  it("rejects other versions and malformed states", () => {
+    for (const invalid of [
+      null,
+      { version: 2, files: {} },
+      { version: 1 },
+      { version: 1, files: null },
+      { version: 1, files: {}, directories: "/src/x" },
+      { version: 1, files: { "/src/a.tsx": 42 } }
+    ]) {
+      assert.throws(() => validateSharedWorkspace(invalid), /Unsupported/);
+    }
+  });
+
+  it("rejects binary assets that are not base64 data URLs", () => {
+    const png = "data:image/png;base64,iVBORw==";
+    assert.doesNotThrow(() =>
+      validateSharedWorkspace({ version: 1, files: { "/src/logo.png": png } })
+    );
+
+    for (const contents of [
+      'data:image/png,x" onerror="alert(1)',
+      'data:image/png;base64,iVBORw==" onerror="alert(1)',
+      "data:image/png;base64,<svg>",
+      "javascript:alert(1)",
+      "iVBORw=="
+    ]) {
+      assert.throws(
+        () => validateSharedWorkspace({ version: 1, files: { "/src/logo.png": contents } }),
+        /Invalid asset in shared workspace: \/src\/logo\.png/,
+        contents
+      );
+    }
+  });
+});
+
+describe("share URLs", () => {
+  it("puts the encoded workspace in the hash and reads it back", () => {
+    const location = {
+      origin: "https://example.com",
+      pathname: "/react-wasm-compiler/",
+      search: "?x=1"
+    };
+    const url = createShareUrl("abc_-", location);
+
+    assert.equal(url, "https://example.com/react-wasm-compiler/?x=1#share=abc_-");
+    assert.equal(getSharedWorkspaceFromHash(new URL(url).hash), "abc_-");
+    assert.equal(getSharedWorkspaceFromHash("#other"), null);
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  decodeMappings,
+  encodeMappings,
+  createSourceMapConsumer,
+  concatSourceMaps,
+  createSourceMapComments,
+  parseStackTrace,
+  mapStackTrace,
+  BUNDLE_FILE
+} from "../source-map.js";
+import { dataUrlToBytes } from "../file-loader.js";
+
+describe("mappings", () => {
+  it("decodes VLQ segments into absolute positions", () => {
+    // Columns restart on every line; sources, lines and columns carry over
+    assert.deepEqual(decodeMappings("AAAA,IAAI;AACA,gBAAgB,DAAD;;EACA"), [
+      [
+        [0, 0, 0, 0],
+        [4, 0, 0, 4]
+      ],
+      [
+        [0, 0, 1, 4],
+        [16, 0, 1, 20],
+        [15, 0, 1, 19]
+      ],
+      [],
+      [[2, 0, 2, 19]]
+    ]);
+  });
+
+  it("keeps generated-only segments", () => {
+    assert.deepEqual(decodeMappings("A,CAAA"), [[[0], [1, 0, 0, 0]]]);
+  });
+
+  it("rejects characters outside base64", () => {
+    assert.throws(() => decodeMappings("AA!A"), /Invalid source map mappings \(character "!"\)/);
+  });
+
+  it("round-trips through encodeMappings", () => {
+    const lines = [
+      [
+        [0, 0, 0, 0],
+        [7, 1, 12, 3, 0]
+      ],
+      [],
+      [[0], [5, 0, 3, 100], [2000, 1, 0, 0, 1]]
+    ];
+    assert.equal(encodeMappings([[[0], [16, 1, 3, 16, 2]]]), "A,gBCGgBE");
+    assert.deepEqual(decodeMappings(encodeMappings(lines)), lines);
+  });
+});
+
+describe("createSourceMapConsumer", () => {
+  const consumer = createSourceMapConsumer(
+    JSON.stringify({
+      version: 3,
+      sources: ["/src/entry.tsx", "/src/app.tsx"],
+      names: ["render"],
+      mappings: encodeMappings([
+        [
+          [0, 0, 0, 0],
+          [10, 0, 0, 6, 0],
+          [20]
+        ],
+        [[4, 1, 9, 2]]
+      ])
+    })
+  );
+
+  it("finds the original position of the segment at or before a column", () => {
+    assert.deepEqual(consumer.originalPositionFor(1, 0), {
+      source: "/src/entry.tsx",
+      line: 1,
+      column: 0,
+      name: null
+    });
+    assert.deepEqual(consumer.originalPositionFor(1, 15), {
+      source: "/src/entry.tsx",
+      line: 1,
+      column: 6,
+      name: "render"
+    });
+    // A generated-only segment does not hide the mapped one before it
+    assert.equal(consumer.originalPositionFor(1, 25).column, 6);
+    assert.deepEqual(consumer.originalPositionFor(2, 8), {
+      source: "/src/app.tsx",
+      line: 10,
+      column: 2,
+      name: null
+    });
+  });
+
+  it("returns null for unmapped positions", () => {
+    assert.equal(consumer.originalPositionFor(2, 3), null);
+    assert.equal(consumer.originalPositionFor(3, 0), null);
+  });
+
+  it("reports the generated range of a mapping", () => {
+    assert.deepEqual(consumer.mappingAt(1, 12), {
+      startColumn: 10,
+      endColumn: 20,
+      source: "/src/entry.tsx",
+      line: 1,
+      column: 6
+    });
+    assert.equal(consumer.mappingAt(2, 50).endColumn, null);
+    assert.equal(consumer.mappingAt(1, 20), null);
+    assert.equal(consumer.mappingAt(2, 0), null);
+  });
+});
+
+describe("concatSourceMaps", () => {
+  it("offsets lines, sources and names of every section", () => {
+    const first = {
+      sources: ["/src/a.tsx"],
+      sourcesContent: ["const a = 1;"],
+      names: ["a"],
+      mappings: encodeMappings([[[0, 0, 0, 0, 0]], [[2, 0, 1, 0]]])
+    };
+    const second = {
+      sources: ["/src/b.tsx"],
+      names: ["b"],
+      mappings: encodeMappings([[[0], [1, 0, 4, 2, 0]]])
+    };
+
+    const map = concatSourceMaps([
+      { map: first, line: 1 },
+      { map: second, line: 4 }
+    ]);
+
+    assert.equal(map.version, 3);
+    assert.equal(map.file, BUNDLE_FILE);
+    assert.deepEqual(map.sources, ["/src/a.tsx", "/src/b.tsx"]);
+    assert.deepEqual(map.sourcesContent, ["const a = 1;", null]);
+    assert.deepEqual(map.names, ["a", "b"]);
+    assert.deepEqual(decodeMappings(map.mappings), [
+      [],
+      [[0, 0, 0, 0, 0]],
+      [[2, 0, 1, 0]],
+      [],
+      [[0], [1, 1, 4, 2, 1]]
+    ]);
+
+    const consumer = createSourceMapConsumer(map);
+    assert.deepEqual(consumer.originalPositionFor(5, 3), {
+      source: "/src/b.tsx",
+      line: 5,
+      column: 2,
+      name: "b"
+    });
+  });
+});
+
+describe("createSourceMapComments", () => {
+  it("names the script and inlines its map", () => {
+    assert.equal(createSourceMapComments(null), `//# sourceURL=${BUNDLE_FILE}`);
+
+    const map = { version: 3, sources: [], names: [], mappings: "" };
+    const [sourceUrl, sourceMappingUrl] = createSourceMapComments(map, "x.js").split("\n");
+    assert.equal(sourceUrl, "//# sourceURL=x.js");
+
+    const dataUrl = sourceMappingUrl.replace("//# sourceMappingURL=", "");
+    assert.ok(dataUrl.startsWith("data:application/json;base64,"));
+    assert.deepEqual(JSON.parse(new TextDecoder().decode(dataUrlToBytes(dataUrl))), map);
+  });
+});
+
+describe("stack traces", () => {
+  const v8Stack = [
+    "TypeError: boom",
+    `    at Button (http://localhost/${BUNDLE_FILE}:3:15)`,
+    `    at http://localhost/${BUNDLE_FILE}:5:2`,
+    "    at renderWithHooks (https://esm.sh/react-dom@19/client.js:10:20)"
+  ].join("\n");
+  const firefoxStack = [
+    `Button@http://localhost/${BUNDLE_FILE}:3:15`,
+    `@http://localhost/${BUNDLE_FILE}:5:2`
+  ].join("\n");
+
+  it("parses V8 and Firefox/Safari frames", () => {
+    const frames = [
+      { functionName: "Button", file: `http://localhost/${BUNDLE_FILE}`, line: 3, column: 15 },
+      { functionName: "", file: `http://localhost/${BUNDLE_FILE}`, line: 5, column: 2 }
+    ];
+    assert.deepEqual(parseStackTrace(v8Stack).slice(0, 2), frames);
+    assert.deepEqual(parseStackTrace(firefoxStack), frames);
+    assert.equal(parseStackTrace(v8Stack)[2].file, "https://esm.sh/react-dom@19/client.js");
+    assert.deepEqual(parseStackTrace(undefined), []);
+  });
+
+  it("maps frames of known scripts to their original positions", () => {
+    const consumer = createSourceMapConsumer({
+      version: 3,
+      sources: ["/src/button.tsx"],
+      names: [],
+      mappings: encodeMappings([[], [], [[10, 0, 7, 4]]])
+    });
+
+    assert.deepEqual(mapStackTrace(v8Stack, new Map([[BUNDLE_FILE, consumer]])), [
+      { functionName: "Button", file: "/src/button.tsx", line: 8, column: 5, mapped: true },
+      {
+        functionName: "",
+        file: `http://localhost/${BUNDLE_FILE}`,
+        line: 5,
+        column: 2,
+        mapped: false
+      },
+      {
+        functionName: "renderWithHooks",
+        file: "https://esm.sh/react-dom@19/client.js",
+        line: 10,
+        column: 20,
+        mapped: false
+      }
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { diffLines } from "../text-diff.js";
+
+/**
+ * Rebuild both texts from the runs of a diff
+ */
+function applyRuns(runs) {
+  const oldLines = [];
+  const newLines = [];
+  for (const { type, lines } of runs) {
+    if (type !== "insert") oldLines.push(...lines);
+    if (type !== "delete") newLines.push(...lines);
+  }
+  return [oldLines.join("\n"), newLines.join("\n")];
+}
+
+/**
+ * Length of the longest common subsequence of two line arrays
+ */
+function longestCommonSubsequence(a, b) {
+  let previous = new Array(b.length + 1).fill(0);
+  for (const line of a) {
+    const current = [0];
+    b.forEach((other, j) => {
+      current.push(line === other ? previous[j] + 1 : Math.max(previous[j + 1], current[j]));
+    });
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+describe("diffLines", () => {
+  it("reports identical texts as one equal run", () => {
+    assert.deepEqual(diffLines("a\nb", "a\nb"), [{ type: "equal", lines: ["a", "b"] }]);
+  });
+
+  it("finds inserted, deleted and replaced lines", () => {
+    assert.deepEqual(diffLines("a\nc", "a\nb\nc"), [
+      { type: "equal", lines: ["a"] },
+      { type: "insert", lines: ["b"] },
+      { type: "equal", lines: ["c"] }
+    ]);
+    assert.deepEqual(diffLines("a\nb\nc", "a\nc"), [
+      { type: "equal", lines: ["a"] },
+      { type: "delete", lines: ["b"] },
+      { type: "equal", lines: ["c"] }
+    ]);
+    assert.deepEqual(diffLines("a\nb\nc\nd", "a\nx\ny\nd"), [
+      { type: "equal", lines: ["a"] },
+      { type: "delete", lines: ["b", "c"] },
+      { type: "insert", lines: ["x", "y"] },
+      { type: "equal", lines: ["d"] }
+    ]);
+  });
+
+  it("diffs texts without a common start or end", () => {
+    assert.deepEqual(diffLines("", "a"), [
+      { type: "delete", lines: [""] },
+      { type: "insert", lines: ["a"] }
+    ]);
+    assert.deepEqual(diffLines("x\na\nb", "a\nb\ny"), [
+      { type: "delete", lines: ["x"] },
+      { type: "equal", lines: ["a", "b"] },
+      { type: "insert", lines: ["y"] }
+    ]);
+  });
+
+  it("gives up when more lines than maxEdits differ", () => {
+    assert.equal(diffLines("a\nb\nc", "x\ny\nz", 5), null);
+    assert.notEqual(diffLines("a\nb\nc", "x\ny\nz", 6), null);
+    // Lines shared at the start and end do not count
+    assert.notEqual(diffLines("s\na\ne", "s\nb\ne", 2), null);
+  });
+
+  it("finds a shortest edit script", () => {
+    // Deterministic pseudo-random texts over a small alphabet, so lines repeat
+    let seed = 1;
+    const random = (limit) => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed % limit;
+    };
+    const randomText = () =>
+      Array.from({ length: random(12) }, () => "abcd"[random(4)]).join("\n");
+
+    for (let round = 0; round < 300; round++) {
+      const oldText = randomText();
+      const newText = randomText();
+      const runs = diffLines(oldText, newText);
+
+      assert.deepEqual(applyRuns(runs), [oldText, newText]);
+      const equal = runs
+        .filter((run) => run.type === "equal")
+        .reduce((count, run) => count + run.lines.length, 0);
+      assert.equal(
+        equal,
+        longestCommonSubsequence(oldText.split("\n"), newText.split("\n")),
+        `${JSON.stringify(oldText)} -> ${JSON.stringify(newText)}`
+      );
+    }
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { WorkerRunner } from "../runners/worker-runner.js";
+
+// Stands in for compiler-worker.js: answers initialize() with the next result
+let workers = [];
+let initializeResults = [];
+
+class FakeWorker extends EventTarget {
+  constructor() {
+    super();
+    this.terminated = false;
+    workers.push(this);
+  }
+
+  postMessage({ id, method }) {
+    if (id === undefined) return;
+    const result = method === "initialize" ? initializeResults.shift() : { method };
+    queueMicrotask(() => {
+      const data = result instanceof Error ? { id, error: { message: result.message } } : { id, result };
+      this.dispatchEvent(Object.assign(new Event("message"), { data }));
+    });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe("WorkerRunner", () => {
+  beforeEach(() => {
+    workers = [];
+    initializeResults = [];
+    globalThis.Worker = FakeWorker;
+  });
+
+  afterEach(() => {
+    delete globalThis.Worker;
+  });
+
+  it("initializes the runner in a worker and proxies calls to it", async () => {
+    initializeResults.push({ name: "swc" });
+    const runner = new WorkerRunner("swc");
+
+    await runner.initialize();
+    await runner.initialize();
+
+    assert.equal(workers.length, 1);
+    assert.deepEqual(runner.getCapabilities(), { name: "swc" });
+    assert.deepEqual(await runner.buildPreview({}), { method: "buildPreview" });
+  });
+
+  it("gives concurrent callers the same pending initialization", async () => {
+    initializeResults.push({ name: "swc" });
+    const runner = new WorkerRunner("swc");
+
+    const first = runner.initialize();
+    const second = runner.initialize();
+    await second;
+    assert.deepEqual(runner.getCapabilities(), { name: "swc" });
+    await first;
+    assert.equal(workers.length, 1);
+  });
+
+  it("shares a failed initialization, then starts over", async () => {
+    initializeResults.push(new Error("WASM failed to load"), { name: "swc" });
+    const runner = new WorkerRunner("swc");
+
+    const results = await Promise.allSettled([runner.initialize(), runner.initialize()]);
+    assert.deepEqual(
+      results.map(({ status }) => status),
+      ["rejected", "rejected"]
+    );
+    assert.equal(workers.length, 1);
+
+    await runner.initialize();
+    assert.equal(workers.length, 2);
+    assert.deepEqual(runner.getCapabilities(), { name: "swc" });
+  });
+
+  it("starts a new worker after dispose()", async () => {
+    initializeResults.push({ name: "swc" }, { name: "swc" });
+    const runner = new WorkerRunner("swc");
+
+    await runner.initialize();
+    runner.dispose();
+    assert.equal(workers[0].terminated, true);
+    await runner.initialize();
+    assert.equal(workers.length, 2);
+    assert.deepEqual(await runner.compile({}), { method: "compile" });
+  });
+
+  it("stops the worker when initializing fails, and starts over on the next call", async () => {
+    initializeResults.push(new Error("WASM failed to load"), { name: "esbuild" });
+    const runner = new WorkerRunner("esbuild");
+
+    await assert.rejects(runner.initialize(), /WASM failed to load/);
+    assert.equal(workers[0].terminated, true);
+    assert.throws(() => runner.getCapabilities(), /not initialized/);
+    await assert.rejects(runner.buildPreview({}), /not initialized/);
+
+    await runner.initialize();
+    assert.equal(workers.length, 2);
+    assert.deepEqual(runner.getCapabilities(), { name: "esbuild" });
+  });
+});
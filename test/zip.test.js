@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createZip, readZip } from "../zip.js";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+describe("createZip / readZip", () => {
+  it("round-trips text and binary files", async () => {
+    const binary = Uint8Array.from({ length: 300 }, (_, index) => (index * 7) % 256);
+    const archive = await createZip([
+      { path: "src/entry.tsx", data: "export default function App() {}\n".repeat(20) },
+      { path: "src/ünïcode.md", data: "# 😀\n" },
+      { path: "src/assets/logo.png", data: binary },
+      { path: "src/empty.txt", data: "" }
+    ]);
+
+    const files = await readZip(archive);
+    assert.deepEqual(
+      files.map(({ path }) => path),
+      ["src/entry.tsx", "src/ünïcode.md", "src/assets/logo.png", "src/empty.txt"]
+    );
+    assert.equal(decoder.decode(files[0].data), "export default function App() {}\n".repeat(20));
+    assert.equal(decoder.decode(files[1].data), "# 😀\n");
+    assert.deepEqual(files[2].data, binary);
+    assert.equal(files[3].data.length, 0);
+  });
+
+  it("deflates compressible files and stores the rest", async () => {
+    const text = "a".repeat(10000);
+    const archive = await createZip([{ path: "a.txt", data: text }]);
+    assert.ok(archive.length < 1000);
+
+    const random = Uint8Array.from({ length: 64 }, (_, index) => (index * 151 + 17) % 251);
+    const stored = await createZip([{ path: "r.bin", data: random }]);
+    // Method 0 (store) in the local header
+    assert.equal(new DataView(stored.buffer).getUint16(8, true), 0);
+    assert.deepEqual((await readZip(stored))[0].data, random);
+  });
+
+  it("reads archives given as an ArrayBuffer, with a trailing comment", async () => {
+    const archive = await createZip([{ path: "a.txt", data: "hello" }]);
+    const comment = encoder.encode("a comment");
+    const withComment = new Uint8Array(archive.length + comment.length);
+    withComment.set(archive);
+    withComment.set(comment, archive.length);
+    // Comment length field of the end of central directory record
+    new DataView(withComment.buffer).setUint16(archive.length - 2, comment.length, true);
+
+    const [file] = await readZip(withComment.buffer);
+    assert.equal(decoder.decode(file.data), "hello");
+  });
+
+  it("skips directory entries", async () => {
+    const archive = await createZip([
+      { path: "src/", data: "" },
+      { path: "src/a.js", data: "1" }
+    ]);
+    assert.deepEqual(
+      (await readZip(archive)).map(({ path }) => path),
+      ["src/a.js"]
+    );
+  });
+
+  it("rejects data that is not a zip archive", async () => {
+    await assert.rejects(readZip(encoder.encode("not a zip archive at all")), /Not a zip archive/);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Text Diff
+ * Line diff (Myers' algorithm) for comparing generated code
+ */
+
+/**
+ * Find the shortest edit script between two line arrays
+ * @returns {Array<string>|null} One of "=", "-", "+" per line, or null when
+ *   more than maxEdits lines differ
+ */
+function shortestEdit(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  // v[offset + k] is the furthest x reached on diagonal k
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // Before each round d: the part of v that round reads, diagonals -d-1..d+1
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, n, m);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Walk the rounds back from the end to list the edits
+ */
+function backtrack(trace, n, m) {
+  const edits = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousX = d === 0 ? 0 : at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      edits.push("=");
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      edits.push(x === previousX ? "+" : "-");
+      x = previousX;
+      y = previousY;
+    }
+  }
+
+  return edits.reverse();
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {number} maxEdits - Give up when more lines than this differ
+ * @returns {Array<Object>|null} Runs of lines: { type: 'equal' | 'delete' | 'insert', lines },
+ *   or null when the texts are too different
+ */
+export function diffLines(oldText, newText, maxEdits = 2000) {
+  const a = oldText.split("\n");
+  const b = newText.split("\n");
+
+  // The common start and end need no search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const edits = shortestEdit(a.slice(start, endA), b.slice(start, endB), maxEdits);
+  if (!edits) return null;
+
+  const runs = [];
+  const push = (type, line) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      runs.push({ type, lines: [line] });
+    }
+  };
+
+  a.slice(0, start).forEach((line) => push("equal", line));
+  let x = start;
+  let y = start;
+  for (const edit of edits) {
+    if (edit === "=") {
+      push("equal", a[x++]);
+      y++;
+    } else if (edit === "-") {
+      push("delete", a[x++]);
+    } else {
+      push("insert", b[y++]);
+    }
+  }
+  a.slice(endA).forEach((line) => push("equal", line));
+
+  return runs;
+}
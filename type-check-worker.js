@@ -0,0 +1,292 @@
+/**
+ * Type Check Worker
+ * Runs the TypeScript compiler over the whole workspace for the type checker
+ * (see type-checker.js). TypeScript and its lib.*.d.ts files come from the
+ * runtime source (see runtime-sources.js); React's type definitions are
+ * bundled with the worker. The workspace is mirrored from the page like in
+ * compiler-worker.js.
+ */
+
+import { createVirtualFileSystem } from "./file-loader.js";
+import { exposeMethods, exposeFileSystem } from "./worker-rpc.js";
+import { getCompilerUrls } from "./runtime-sources.js";
+import { readWorkspacePackage } from "./package-resolver.js";
+import { createDiagnostic } from "./diagnostics.js";
+import reactTypes from "./node_modules/@types/react/index.d.ts?raw";
+import reactGlobalTypes from "./node_modules/@types/react/global.d.ts?raw";
+import reactJsxRuntimeTypes from "./node_modules/@types/react/jsx-runtime.d.ts?raw";
+import reactJsxDevRuntimeTypes from "./node_modules/@types/react/jsx-dev-runtime.d.ts?raw";
+import reactDomTypes from "./node_modules/@types/react-dom/index.d.ts?raw";
+import reactDomClientTypes from "./node_modules/@types/react-dom/client.d.ts?raw";
+import cssTypes from "./node_modules/csstype/index.d.ts?raw";
+
+// Where TypeScript looks for the lib files and declarations the worker provides
+const LIB_DIR = "/typescript/lib";
+const ENVIRONMENT_FILE = "/typescript/environment.d.ts";
+
+const CODE_FILE_PATTERN = /\.(tsx?|jsx?)$/;
+
+const TYPE_DEFINITIONS = {
+  "/node_modules/@types/react/package.json": '{ "name": "@types/react", "types": "index.d.ts" }',
+  "/node_modules/@types/react/index.d.ts": reactTypes,
+  "/node_modules/@types/react/global.d.ts": reactGlobalTypes,
+  "/node_modules/@types/react/jsx-runtime.d.ts": reactJsxRuntimeTypes,
+  "/node_modules/@types/react/jsx-dev-runtime.d.ts": reactJsxDevRuntimeTypes,
+  "/node_modules/@types/react-dom/package.json": '{ "name": "@types/react-dom", "types": "index.d.ts" }',
+  "/node_modules/@types/react-dom/index.d.ts": reactDomTypes,
+  "/node_modules/@types/react-dom/client.d.ts": reactDomClientTypes,
+  "/node_modules/csstype/package.json": '{ "name": "csstype", "types": "index.d.ts" }',
+  "/node_modules/csstype/index.d.ts": cssTypes
+};
+
+// Modules the runners generate for non-JavaScript files (see asset-modules.js)
+// Of the patterns matching a specifier TypeScript takes the first declared, so
+// "*.module.css" comes before "*.css"
+const ASSET_TYPES = `
+declare module "*.module.css" { const classes: { readonly [name: string]: string }; export default classes; }
+declare module "*.css" { const css: string; export default css; }
+declare module "*.svg" {
+  import type { FC, SVGProps } from "react";
+  export const ReactComponent: FC<SVGProps<SVGSVGElement>>;
+  const url: string;
+  export default url;
+}
+declare module "*?react" {
+  import type { FC, SVGProps } from "react";
+  const Component: FC<SVGProps<SVGSVGElement>>;
+  export default Component;
+}
+${[
+  "*?raw", "*?url",
+  "*.txt", "*.md", "*.html", "*.csv", "*.xml", "*.glsl",
+  "*.png", "*.jpg", "*.jpeg", "*.gif", "*.webp", "*.avif", "*.bmp", "*.ico",
+  "*.woff", "*.woff2", "*.ttf", "*.otf", "*.mp3", "*.wav", "*.mp4", "*.webm", "*.pdf"
+]
+  .map((pattern) => `declare module "${pattern}" { const value: string; export default value; }`)
+  .join("\n")}
+`;
+
+// Globals the preview document defines (see createPreviewHtml in runtime-config.js)
+const PREVIEW_TYPES = `
+interface Window {
+  __THEME__: { bg: string; text: string; muted: string; code: string; codeBg: string };
+}
+`;
+
+// Lib files the workspace is checked against (their references are loaded too)
+const LIBS = ["lib.es2020.d.ts", "lib.dom.d.ts", "lib.dom.iterable.d.ts"];
+
+const fileSystem = createVirtualFileSystem();
+let ts = null;
+let compilerOptions = null;
+// lib file name → contents
+const libFiles = new Map();
+// Parsed files, reused while their contents are unchanged
+const sourceFiles = new Map();
+let program = null;
+
+/**
+ * Fetch lib files and, transitively, the libs they reference
+ */
+async function loadLibs(libUrl, names) {
+  let pending = names.filter((name) => !libFiles.has(name));
+
+  while (pending.length > 0) {
+    const texts = await Promise.all(
+      pending.map(async (name) => {
+        const response = await fetch(`${libUrl}${name}`);
+        if (!response.ok) {
+          throw new Error(`Could not load ${name} (HTTP ${response.status})`);
+        }
+        return response.text();
+      })
+    );
+
+    const referenced = new Set();
+    pending.forEach((name, index) => {
+      libFiles.set(name, texts[index]);
+      for (const { fileName } of ts.preProcessFile(texts[index], true, true).libReferenceDirectives) {
+        referenced.add(`lib.${fileName.toLowerCase()}.d.ts`);
+      }
+    });
+    pending = [...referenced].filter((name) => !libFiles.has(name));
+  }
+}
+
+/**
+ * Declarations for what the runners provide besides workspace files
+ * npm packages come untyped: they are declared as modules of type any.
+ */
+function createEnvironmentTypes(workspacePackage) {
+  const packages = Object.keys(workspacePackage.dependencies).filter(
+    (name) => name !== "react" && name !== "react-dom"
+  );
+  const runtimeImports = Object.keys((workspacePackage.runtime && workspacePackage.runtime.imports) || {});
+
+  return [
+    ASSET_TYPES,
+    PREVIEW_TYPES,
+    ...packages.flatMap((name) => [
+      `declare module ${JSON.stringify(name)};`,
+      `declare module ${JSON.stringify(`${name}/*`)};`
+    ]),
+    ...runtimeImports.map((specifier) => `declare module ${JSON.stringify(specifier)};`)
+  ].join("\n");
+}
+
+/**
+ * Create a compiler host over the workspace mirror, bundled types and lib files
+ * @param {Map<string, string>} files - Path → contents of everything but the libs
+ */
+function createCompilerHost(files) {
+  const readFile = (fileName) =>
+    fileName.startsWith(`${LIB_DIR}/`)
+      ? libFiles.get(fileName.slice(LIB_DIR.length + 1))
+      : files.get(fileName);
+
+  return {
+    getSourceFile(fileName, languageVersion) {
+      const text = readFile(fileName);
+      if (text === undefined) return undefined;
+
+      const cached = sourceFiles.get(fileName);
+      if (cached && cached.text === text) return cached;
+
+      const sourceFile = ts.createSourceFile(fileName, text, languageVersion);
+      sourceFiles.set(fileName, sourceFile);
+      return sourceFile;
+    },
+    getDefaultLibFileName: (options) => `${LIB_DIR}/${ts.getDefaultLibFileName(options)}`,
+    getDefaultLibLocation: () => LIB_DIR,
+    writeFile() {},
+    getCurrentDirectory: () => "/",
+    getDirectories: () => [],
+    fileExists: (fileName) => readFile(fileName) !== undefined,
+    readFile,
+    directoryExists: (directory) => {
+      const prefix = `${directory.replace(/\/$/, "")}/`;
+      for (const path of files.keys()) {
+        if (path.startsWith(prefix)) return true;
+      }
+      return directory === LIB_DIR;
+    },
+    getCanonicalFileName: (fileName) => fileName,
+    useCaseSensitiveFileNames: () => true,
+    getNewLine: () => "\n"
+  };
+}
+
+/**
+ * Convert a TypeScript diagnostic (see diagnostics.js for the format)
+ */
+function toDiagnostic(diagnostic) {
+  let location = {};
+  if (diagnostic.file && diagnostic.start !== undefined) {
+    const start = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+    const end = diagnostic.file.getLineAndCharacterOfPosition(
+      diagnostic.start + (diagnostic.length || 0)
+    );
+    location = {
+      file: diagnostic.file.fileName,
+      line: start.line + 1,
+      column: start.character + 1,
+      endLine: end.line + 1,
+      endColumn: end.character + 1
+    };
+  }
+
+  return createDiagnostic({
+    source: "typescript",
+    severity: diagnostic.category === ts.DiagnosticCategory.Warning ? "warning" : "error",
+    message: ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"),
+    code: `TS${diagnostic.code}`,
+    ...location
+  });
+}
+
+exposeMethods(
+  {
+    /**
+     * Load TypeScript and the lib files
+     * @param {Object} options - { runtime: 'cdn' or 'local' }
+     */
+    async initialize({ runtime } = {}) {
+      if (ts) return ts.version;
+
+      const urls = getCompilerUrls("typescript", runtime);
+      const module = await import(/* @vite-ignore */ urls.module);
+      ts = module.default || module;
+      await loadLibs(urls.lib, LIBS);
+
+      // The settings of exported projects (see project-export.js), checked without emitting
+      compilerOptions = {
+        target: ts.ScriptTarget.ES2020,
+        module: ts.ModuleKind.ESNext,
+        moduleResolution: ts.ModuleResolutionKind.Bundler,
+        jsx: ts.JsxEmit.ReactJSX,
+        lib: LIBS,
+        types: [],
+        strict: false,
+        esModuleInterop: true,
+        skipLibCheck: true,
+        resolveJsonModule: true,
+        allowJs: true,
+        allowImportingTsExtensions: true,
+        noEmit: true
+      };
+
+      console.log(`[typecheck] Initialized TypeScript ${ts.version}`);
+      return ts.version;
+    },
+
+    /**
+     * Type check every TypeScript and JavaScript file under baseUrl
+     * JavaScript files are not checked themselves, only imported with their types.
+     * @param {Object} options - { baseUrl }
+     * @returns {Array<Object>} Diagnostics in workspace files (see diagnostics.js)
+     */
+    async check({ baseUrl = "/src" } = {}) {
+      if (!ts) {
+        throw new Error("Type checker not initialized. Call initialize() first.");
+      }
+
+      // An invalid package.json is reported by the compile
+      let workspacePackage = { dependencies: {} };
+      try {
+        workspacePackage = await readWorkspacePackage({ baseUrl, fileSystem });
+      } catch (error) {
+        // Check without the package declarations
+      }
+
+      const files = new Map(Object.entries(TYPE_DEFINITIONS));
+      const rootNames = [ENVIRONMENT_FILE];
+      files.set(ENVIRONMENT_FILE, createEnvironmentTypes(workspacePackage));
+      for (const path of fileSystem.list()) {
+        if (!path.startsWith(`${baseUrl}/`)) continue;
+        files.set(path, fileSystem.readFile(path));
+        if (CODE_FILE_PATTERN.test(path)) rootNames.push(path);
+      }
+
+      const started = performance.now();
+      program = ts.createProgram({
+        rootNames,
+        options: { ...compilerOptions, paths: { "@/*": [`${baseUrl}/*`] } },
+        host: createCompilerHost(files),
+        oldProgram: program
+      });
+
+      const diagnostics = ts
+        .getPreEmitDiagnostics(program)
+        .filter(({ file }) => !file || file.fileName.startsWith(`${baseUrl}/`))
+        .map(toDiagnostic);
+
+      console.log(
+        `[typecheck] Checked ${rootNames.length - 1} files in ${Math.round(performance.now() - started)}ms: ${diagnostics.length} problems`
+      );
+      return diagnostics;
+    },
+
+    ...exposeFileSystem(fileSystem)
+  },
+  "typecheck"
+);
@@ -0,0 +1,71 @@
+/**
+ * Type Checker
+ * Optional TypeScript pass over the whole workspace. The runners only strip
+ * types; this checks them in type-check-worker.js, started on the first check.
+ */
+
+import { createWorkerClient } from "./worker-rpc.js";
+import { DEFAULT_RUNTIME_SOURCE } from "./runtime-sources.js";
+
+/**
+ * Type check settings: not at all, report problems only, or also keep type
+ * errors from reaching the preview
+ */
+export const TYPE_CHECK_MODES = ["off", "report", "block"];
+
+/**
+ * Create a type checker for a workspace
+ * @param {Object} options
+ * @param {Object} options.fileSystem - Workspace file system, mirrored into the worker
+ * @param {string} options.runtime - Load TypeScript from 'cdn' or 'local' copies
+ * @returns {Object} { check(options), dispose() }
+ */
+export function createTypeChecker(options = {}) {
+  const { fileSystem, runtime = DEFAULT_RUNTIME_SOURCE } = options;
+  let client = null;
+  let ready = null;
+
+  const start = () => {
+    if (!client) {
+      client = createWorkerClient(
+        new Worker(new URL("./type-check-worker.js", import.meta.url), { type: "module" }),
+        "Type check"
+      );
+      client.syncFileSystem(fileSystem);
+      ready = client.call("initialize", { runtime });
+    }
+    return { client, ready };
+  };
+
+  const checker = {
+    /**
+     * Type check the workspace
+     * @param {Object} options - { baseUrl }
+     * @returns {Promise<Array<Object>>} Diagnostics (see diagnostics.js)
+     */
+    async check(options = {}) {
+      const started = start();
+      try {
+        await started.ready;
+      } catch (error) {
+        // Start over on the next check (TypeScript may not have loaded)
+        if (client === started.client) checker.dispose();
+        throw error;
+      }
+      return started.client.call("check", options);
+    },
+
+    /**
+     * Stop the worker
+     */
+    dispose() {
+      if (client) {
+        client.terminate(new Error("Type checker disposed"));
+        client = null;
+        ready = null;
+      }
+    }
+  };
+
+  return checker;
+}
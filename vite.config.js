@@ -1,6 +1,54 @@
 import { defineConfig } from "vite";
+import { build as esbuild } from "esbuild";
 import fs from "fs";
 import path from "path";
+import { createRequire } from "module";
+import {
+  VENDOR_DIR,
+  VENDOR_FILES,
+  TYPESCRIPT_MODULE,
+  TYPESCRIPT_LIB_DIR,
+  getReactModules
+} from "./runtime-sources.js";
+
+const SRC_DIR = path.join(process.cwd(), "src");
+const MANIFEST_NAME = "__manifest.json";
+const CONTENT_TYPES = {
+  ".css": "text/css",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".txt": "text/plain",
+  ".md": "text/plain",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".mp3": "audio/mpeg",
+  ".wasm": "application/wasm",
+  ".mp4": "video/mp4",
+  ".pdf": "application/pdf"
+};
+
+// List every file under src/ as a path relative to src/
+function listSourceFiles(dir = SRC_DIR, prefix = "") {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".")) continue;
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listSourceFiles(path.join(dir, entry.name), relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files.sort();
+}
 
 // Skip import analysis for src files
 function skipSrcAnalysis() {
@@ -22,6 +70,16 @@ function serveRawSrc() {
     name: "serve-raw-src",
     enforce: "pre",
     configureServer(server) {
+      // Source tree listing for the file explorer (runs before the SPA fallback)
+      server.middlewares.use((req, res, next) => {
+        if (!req.url.split("?")[0].endsWith(`/src/${MANIFEST_NAME}`)) {
+          return next();
+        }
+        res.setHeader("Content-Type", "application/json");
+        res.setHeader("Cache-Control", "no-cache");
+        res.end(JSON.stringify({ files: listSourceFiles() }));
+      });
+
       return () => {
         server.middlewares.use((req, res, next) => {
           // Only intercept /src/ requests
@@ -29,13 +87,14 @@ function serveRawSrc() {
             return next();
           }
 
-          // Try to serve the file directly
-          const filePath = path.join(process.cwd(), req.url);
+          // Try to serve the file directly (as bytes, so images survive)
+          const filePath = path.join(process.cwd(), decodeURIComponent(req.url.split("?")[0]));
 
           try {
             if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
-              const content = fs.readFileSync(filePath, "utf-8");
-              res.setHeader("Content-Type", "application/javascript");
+              const content = fs.readFileSync(filePath);
+              const extension = path.extname(filePath).toLowerCase();
+              res.setHeader("Content-Type", CONTENT_TYPES[extension] || "application/javascript");
               res.setHeader("Cache-Control", "no-cache");
               res.end(content);
               console.log(`[vite] Served: ${req.url}`);
@@ -59,9 +118,223 @@ function serveRawSrc() {
   };
 }
 
+// Emit the raw src files and their manifest for static hosting (GitHub Pages)
+function emitSrcManifest() {
+  return {
+    name: "emit-src-manifest",
+    apply: "build",
+    generateBundle() {
+      const files = listSourceFiles();
+      for (const file of files) {
+        this.emitFile({
+          type: "asset",
+          fileName: `src/${file}`,
+          source: fs.readFileSync(path.join(SRC_DIR, file))
+        });
+      }
+      this.emitFile({
+        type: "asset",
+        fileName: `src/${MANIFEST_NAME}`,
+        source: JSON.stringify({ files })
+      });
+    }
+  };
+}
+
+// Export names of a CommonJS package entry as loaded with NODE_ENV set to mode
+function readExportNames(require, specifier, mode) {
+  const entry = require.resolve(specifier);
+  const previous = process.env.NODE_ENV;
+  process.env.NODE_ENV = mode;
+  delete require.cache[entry];
+  try {
+    return Object.keys(require(entry));
+  } finally {
+    delete require.cache[entry];
+    if (previous === undefined) {
+      delete process.env.NODE_ENV;
+    } else {
+      process.env.NODE_ENV = previous;
+    }
+  }
+}
+
+// Bundle the CommonJS React packages into ES modules for the preview import map
+// Each module leaves the others to the import map, so the preview shares one React
+async function bundleReactRuntime(mode) {
+  const require = createRequire(import.meta.url);
+  const modules = getReactModules(mode);
+  const specifiers = modules.map(([specifier]) => specifier);
+  const files = {};
+
+  for (const [specifier, fileName] of modules) {
+    const names = readExportNames(require, specifier, mode).filter(
+      (name) => name !== "default" && /^[A-Za-z_$][\w$]*$/.test(name)
+    );
+    const result = await esbuild({
+      stdin: {
+        contents: [
+          `import module from ${JSON.stringify(specifier)};`,
+          "export default module;",
+          `export const { ${names.join(", ")} } = module;`
+        ].join("\n"),
+        resolveDir: process.cwd()
+      },
+      bundle: true,
+      write: false,
+      format: "esm",
+      platform: "browser",
+      target: "es2020",
+      minify: mode === "production",
+      define: { "process.env.NODE_ENV": JSON.stringify(mode) },
+      plugins: [shareReactModules(specifiers)],
+      logLevel: "silent"
+    });
+    files[`react/${mode}/${fileName}`] = result.outputFiles[0].text;
+  }
+
+  return files;
+}
+
+// esbuild plugin: require() of another React module from inside a package
+// re-exports the import-mapped module instead of bundling a second copy
+function shareReactModules(specifiers) {
+  return {
+    name: "share-react-modules",
+    setup(build) {
+      build.onResolve({ filter: /.*/ }, (args) => {
+        if (!specifiers.includes(args.path)) return null;
+        if (args.namespace === "shared") return { path: args.path, external: true };
+        if (args.kind === "require-call") return { path: args.path, namespace: "shared" };
+        return null;
+      });
+      build.onLoad({ filter: /.*/, namespace: "shared" }, (args) => ({
+        contents: `export * from ${JSON.stringify(args.path)};`
+      }));
+    }
+  };
+}
+
+// Bundle the CommonJS TypeScript package into an ES module for the type checker
+// Its Node-only requires are never reached in a worker, so they stay external
+async function bundleTypeScript() {
+  const result = await esbuild({
+    stdin: {
+      contents: 'import ts from "typescript";\nexport default ts;',
+      resolveDir: process.cwd()
+    },
+    bundle: true,
+    write: false,
+    format: "esm",
+    platform: "browser",
+    target: "es2020",
+    minify: true,
+    external: ["crypto", "fs", "inspector", "os", "path", "perf_hooks", "source-map-support"],
+    logLevel: "silent"
+  });
+  return result.outputFiles[0].text;
+}
+
+// TypeScript's lib.*.d.ts files, by file name
+function listTypeScriptLibs(require) {
+  const dir = path.dirname(require.resolve("typescript/lib/lib.d.ts"));
+  return fs.readdirSync(dir).filter((name) => /^lib\.[\w.]+\.d\.ts$/.test(name));
+}
+
+// Serve the compiler WASM packages, TypeScript and the React runtime under vendor/
+// and copy them into dist/, for the "local" runtime (see runtime-sources.js)
+function vendorRuntime() {
+  const require = createRequire(import.meta.url);
+  const reactBundles = {};
+  let typeScriptBundle = null;
+
+  // vendor path → file contents, for every vendored file
+  const readVendorFile = async (file) => {
+    if (VENDOR_FILES[file]) {
+      return fs.readFileSync(require.resolve(VENDOR_FILES[file]));
+    }
+    if (file === TYPESCRIPT_MODULE) {
+      typeScriptBundle ??= bundleTypeScript();
+      return typeScriptBundle;
+    }
+    if (file.startsWith(`${TYPESCRIPT_LIB_DIR}/`)) {
+      const name = file.slice(TYPESCRIPT_LIB_DIR.length + 1);
+      return listTypeScriptLibs(require).includes(name)
+        ? fs.readFileSync(require.resolve(`typescript/lib/${name}`))
+        : null;
+    }
+    const mode = file.split("/")[1];
+    if (file.startsWith("react/") && ["production", "development"].includes(mode)) {
+      reactBundles[mode] ??= bundleReactRuntime(mode);
+      return (await reactBundles[mode])[file] ?? null;
+    }
+    return null;
+  };
+
+  // The preview iframe has an opaque origin, so its module imports are cross-origin
+  const vendorPath = (server, url) => {
+    const pathname = decodeURIComponent(url.split("?")[0]);
+    const prefix = [`${server.config.base}${VENDOR_DIR}/`, `/${VENDOR_DIR}/`].find((candidate) =>
+      pathname.startsWith(candidate)
+    );
+    return prefix ? pathname.slice(prefix.length) : null;
+  };
+
+  return {
+    name: "vendor-runtime",
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        const file = vendorPath(server, req.url);
+        if (file === null) return next();
+
+        try {
+          const content = await readVendorFile(file);
+          if (content === null) {
+            res.statusCode = 404;
+            res.end("Not found");
+            return;
+          }
+          res.setHeader("Content-Type", CONTENT_TYPES[path.extname(file)] || "application/javascript");
+          res.setHeader("Access-Control-Allow-Origin", "*");
+          res.end(content);
+        } catch (e) {
+          console.error(`[vite] Error serving ${req.url}:`, e.message);
+          res.statusCode = 500;
+          res.end("Server error");
+        }
+      });
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use((req, res, next) => {
+        if (vendorPath(server, req.url) !== null) {
+          res.setHeader("Access-Control-Allow-Origin", "*");
+        }
+        next();
+      });
+    },
+    async generateBundle() {
+      const files = [
+        ...Object.keys(VENDOR_FILES),
+        ...["production", "development"].flatMap((mode) =>
+          getReactModules(mode).map(([, fileName]) => `react/${mode}/${fileName}`)
+        ),
+        TYPESCRIPT_MODULE,
+        ...listTypeScriptLibs(require).map((name) => `${TYPESCRIPT_LIB_DIR}/${name}`)
+      ];
+      for (const file of files) {
+        this.emitFile({
+          type: "asset",
+          fileName: `${VENDOR_DIR}/${file}`,
+          source: await readVendorFile(file)
+        });
+      }
+    }
+  };
+}
+
 export default defineConfig({
   base: "/react-wasm-compiler/",
-  plugins: [skipSrcAnalysis(), serveRawSrc()],
+  plugins: [skipSrcAnalysis(), serveRawSrc(), emitSrcManifest(), vendorRuntime()],
   server: {
     port: 3000,
     open: true,
@@ -72,6 +345,21 @@ export default defineConfig({
   },
   build: {
     target: "es2020",
-    minify: "esbuild"
+    minify: "esbuild",
+    // CodeMirror with its languages is one ~540 kB chunk
+    chunkSizeWarningLimit: 600,
+    rollupOptions: {
+      output: {
+        // The editor changes less often than the app, so it is cached on its own
+        manualChunks: (id) =>
+          /node_modules\/(@codemirror|@lezer|codemirror|crelt|style-mod|w3c-keyname)\//.test(id)
+            ? "codemirror"
+            : undefined
+      }
+    }
+  },
+  worker: {
+    // The compiler worker loads its runner with a dynamic import
+    format: "es"
   }
 });
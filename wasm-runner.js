@@ -3,10 +3,42 @@
  * Common interface for all WASM compilers (esbuild, SWC, etc.)
  */
 
+import { BUNDLE_FILE, createSourceMapConsumer, mapStackTrace } from './source-map.js';
+import { mountPreview, postHotUpdate } from './preview-runtime.js';
+import { DEFAULT_RUNTIME_SOURCE } from './runtime-sources.js';
+import { createPackageResolver } from './package-resolver.js';
+
+// Runner implementations, loaded on demand
+const RUNNERS = {
+  esbuild: async () => (await import('./runners/esbuild-runner.js')).EsbuildRunner,
+  swc: async () => (await import('./runners/swc-runner.js')).SwcRunner
+};
+
+/**
+ * Types of the registered runners, as passed to createRunner
+ */
+export const RUNNER_TYPES = Object.keys(RUNNERS);
+
 /**
  * Base class for WASM runners
  */
 export class WasmRunner {
+  /**
+   * @param {Object} options - Runner options
+   * @param {Object} options.fileSystem - Workspace file system read before the server
+   * @param {string} options.runtime - Load the compiler and React from 'cdn' or 'local'
+   *   copies (see runtime-sources.js)
+   * @param {Object} options.packageResolver - Where npm package imports are loaded
+   *   from (see createPackageResolver in package-resolver.js)
+   */
+  constructor(options = {}) {
+    this.fileSystem = options.fileSystem || null;
+    this.runtime = options.runtime || DEFAULT_RUNTIME_SOURCE;
+    this.packageResolver = createPackageResolver(options.packageResolver);
+    this.sourceMapConsumers = new Map();
+    this.previewFrame = null;
+  }
+
   /**
    * Initialize the WASM module
    * Must be called before compilation
@@ -17,20 +49,100 @@ export class WasmRunner {
 
   /**
    * Compile/transform code
+   * Problems are reported as diagnostics (see diagnostics.js): warnings with
+   * the result, errors and warnings on the error a failed compile throws.
    * @param {Object} options - Compiler options
-   * @returns {Object} { code, sourceMap?, warnings? }
+   * @returns {Object} { code, sourceMap?, diagnostics }
+   * @throws {Error} With a diagnostics array (see createCompileError)
    */
   async compile(options) {
     throw new Error('compile() must be implemented');
   }
 
   /**
-   * Compile and execute the bundled code
+   * Compile and create the preview for the bundled code
+   * Touches no DOM, so it can run in the compiler worker. With `options.hot`,
+   * runners that support hot updates (see getCapabilities) may return an update
+   * for the running preview instead of a new document.
+   * @param {Object} options - Compiler options, plus themeColors and hot
+   * @returns {Object} { code, html, sourceMap, diagnostics } for a new preview, or
+   *   { code, hotUpdate: { modules, removed }, hotSourceMaps: [[file, map]], diagnostics };
+   *   runners that do not bundle add the moduleMap (module ID → code) they built
+   *   and its per-module sourceMaps
+   */
+  async buildPreview(options) {
+    throw new Error('buildPreview() must be implemented');
+  }
+
+  /**
+   * Compile and execute the bundled code in the preview iframe
+   * With `options.hot`, runners that support hot updates update the running
+   * preview in place and reload it only when they must.
    * @param {Object} options - Compiler options
-   * @returns {string} The bundled code
+   * @returns {Object} { code, output, diagnostics }: the bundled code, the
+   *   generated files (see getOutputFiles) and the compile's warnings
    */
-  async compileAndRun(options) {
-    throw new Error('compileAndRun() must be implemented');
+  async compileAndRun(options = {}) {
+    const { name } = this.getCapabilities();
+    const hot = !!options.hot && !!this.previewFrame && this.previewFrame.isConnected;
+    let result = await this.buildPreview({ ...options, hot });
+
+    if (result.hotUpdate) {
+      const { modules, removed } = result.hotUpdate;
+      const changed = Object.keys(modules);
+      if (changed.length === 0 && removed.length === 0) {
+        return { code: result.code, output: getOutputFiles(result), diagnostics: result.diagnostics };
+      }
+
+      const { applied, message } = await postHotUpdate(this.previewFrame, result.hotUpdate);
+      if (applied) {
+        for (const [file, map] of result.hotSourceMaps) {
+          this.addSourceMap(file, map);
+        }
+        console.log(`[${name}] Hot updated: ${changed.join(', ')}`);
+        return { code: result.code, output: getOutputFiles(result), diagnostics: result.diagnostics };
+      }
+
+      console.log(`[${name}] Hot update failed (${message}), reloading`);
+      result = await this.buildPreview({ ...options, hot: false });
+    }
+
+    this.setSourceMap(result.sourceMap);
+    this.previewFrame = mountPreview(result.html);
+    console.log(`[${name}] Execution complete in iframe`);
+    return { code: result.code, output: getOutputFiles(result), diagnostics: result.diagnostics };
+  }
+
+  /**
+   * Remember the source map of the bundle running in the preview
+   * Forgets the maps of any scripts added to the previous preview.
+   * @param {Object|null} map - Source map (v3), or null when none was generated
+   */
+  setSourceMap(map) {
+    this.sourceMapConsumers.clear();
+    this.addSourceMap(BUNDLE_FILE, map);
+  }
+
+  /**
+   * Remember the source map of another script running in the preview
+   * @param {string} file - Name the script reports in stack traces
+   * @param {Object|null} map - Source map (v3)
+   */
+  addSourceMap(file, map) {
+    if (map) {
+      this.sourceMapConsumers.set(file, createSourceMapConsumer(map));
+    } else {
+      this.sourceMapConsumers.delete(file);
+    }
+  }
+
+  /**
+   * Rewrite a runtime stack trace from the preview to original file positions
+   * @param {string} stack - Error stack reported by the preview iframe
+   * @returns {Array<Object>} Frames: { functionName, file, line, column, mapped }
+   */
+  mapStackTrace(stack) {
+    return mapStackTrace(stack, this.sourceMapConsumers);
   }
 
   /**
@@ -40,24 +152,54 @@ export class WasmRunner {
   getCapabilities() {
     throw new Error('getCapabilities() must be implemented');
   }
+
+  /**
+   * Release resources held by the runner (e.g. its worker)
+   */
+  dispose() {}
+}
+
+/**
+ * List the code a build generated: the bundle, or each module of runners
+ * that do not bundle
+ * @param {Object} result - Result of buildPreview
+ * @returns {Array<Object>} { name, code, sourceMap } (sourceMap null when none was generated)
+ */
+export function getOutputFiles(result) {
+  if (result.moduleMap) {
+    return Object.entries(result.moduleMap).map(([name, code]) => ({
+      name,
+      code,
+      sourceMap: (result.sourceMaps && result.sourceMaps[name]) || null
+    }));
+  }
+  return [{ name: BUNDLE_FILE, code: result.code, sourceMap: result.sourceMap || null }];
 }
 
 /**
  * Factory function to create runners
+ * In the page, runners compile in a Web Worker (see runners/worker-runner.js)
+ * so builds don't block the editor; pass `worker: false` to compile in place.
  * @param {string} type - Runner type: 'esbuild', 'swc', etc.
+ * @param {Object} options - Runner options (see WasmRunner constructor)
+ * @param {boolean} options.worker - Compile in a worker (default: when available)
  * @returns {WasmRunner} Runner instance
  */
-export async function createRunner(type = 'esbuild') {
-  switch (type) {
-    case 'esbuild': {
-      const { EsbuildRunner } = await import('./runners/esbuild-runner.js');
-      return new EsbuildRunner();
-    }
-    case 'swc': {
-      const { SwcRunner } = await import('./runners/swc-runner.js');
-      return new SwcRunner();
-    }
-    default:
-      throw new Error(`Unknown runner: ${type}`);
+export async function createRunner(type = 'esbuild', options = {}) {
+  if (!RUNNERS[type]) {
+    throw new Error(`Unknown runner: ${type}`);
   }
+
+  const {
+    worker = typeof Worker !== 'undefined' && typeof document !== 'undefined',
+    ...runnerOptions
+  } = options;
+
+  if (worker) {
+    const { WorkerRunner } = await import('./runners/worker-runner.js');
+    return new WorkerRunner(type, runnerOptions);
+  }
+
+  const Runner = await RUNNERS[type]();
+  return new Runner(runnerOptions);
 }
@@ -0,0 +1,147 @@
+/**
+ * Worker RPC
+ * Messaging between the page and a module worker: requests are
+ * { id?, method, args }, replies { id, result } or { id, error }. Messages
+ * without an id expect no reply. Errors keep their message and diagnostics
+ * (see diagnostics.js). Used by WorkerRunner (compiler-worker.js)
+ * and the type checker (type-check-worker.js).
+ */
+
+/**
+ * Wrap a worker created by the caller (Vite only bundles workers created
+ * with `new Worker(new URL(...), ...)` where the URL is written)
+ * @param {Worker} worker
+ * @param {string} name - Worker name for errors, e.g. 'Compiler'
+ * @returns {Object} { post, call, syncFileSystem, terminate }
+ */
+export function createWorkerClient(worker, name) {
+  const requests = new Map();
+  let nextRequestId = 1;
+  let unsubscribe = null;
+  let terminated = null;
+
+  // Fail every pending request
+  const rejectAll = (error) => {
+    for (const { reject } of requests.values()) {
+      reject(error);
+    }
+    requests.clear();
+  };
+
+  worker.addEventListener("message", (event) => {
+    const { id, result, error } = event.data;
+    const request = requests.get(id);
+    if (!request) return;
+
+    requests.delete(id);
+    if (error) {
+      const { message, ...details } = error;
+      request.reject(Object.assign(new Error(message), details));
+    } else {
+      request.resolve(result);
+    }
+  });
+  worker.addEventListener("error", (event) => {
+    event.preventDefault();
+    rejectAll(new Error(`${name} worker failed: ${event.message || "could not start"}`));
+  });
+
+  const client = {
+    /**
+     * Send a message that expects no reply
+     */
+    post(method, ...args) {
+      worker.postMessage({ method, args });
+    },
+
+    /**
+     * Call a method in the worker
+     * @returns {Promise} Resolves with the method's result
+     */
+    call(method, ...args) {
+      if (terminated) {
+        return Promise.reject(terminated);
+      }
+      const id = nextRequestId++;
+      return new Promise((resolve, reject) => {
+        requests.set(id, { resolve, reject });
+        worker.postMessage({ id, method, args });
+      });
+    },
+
+    /**
+     * Mirror a workspace into the worker (see exposeFileSystem) and keep the
+     * mirror up to date. Messages are handled in order, so the worker sees
+     * every change made before a later call.
+     */
+    syncFileSystem(fileSystem) {
+      client.post("restore", fileSystem.snapshot());
+
+      unsubscribe = fileSystem.subscribe(({ type, path }) => {
+        if (type === "create" || type === "change") {
+          client.post("writeFile", path, fileSystem.readFile(path));
+        } else {
+          client.post("restore", fileSystem.snapshot());
+        }
+      });
+    },
+
+    /**
+     * Stop the worker and fail the requests still pending
+     */
+    terminate(error) {
+      if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+      }
+      worker.terminate();
+      terminated = error;
+      rejectAll(error);
+    }
+  };
+
+  return client;
+}
+
+/**
+ * Answer requests from createWorkerClient (call inside the worker)
+ * @param {Object} methods - Method name → function (may be async)
+ * @param {string} tag - Log tag for failed messages that expect no reply
+ */
+export function exposeMethods(methods, tag) {
+  self.addEventListener("message", async (event) => {
+    const { id, method, args } = event.data;
+
+    try {
+      if (!methods[method]) {
+        throw new Error(`Unknown method: ${method}`);
+      }
+      const result = await methods[method](...args);
+      if (id !== undefined) {
+        self.postMessage({ id, result });
+      }
+    } catch (error) {
+      if (id !== undefined) {
+        const details = error.diagnostics ? { diagnostics: error.diagnostics } : {};
+        self.postMessage({ id, error: { message: error.message, ...details } });
+      } else {
+        console.error(`[${tag}] ${method} failed:`, error);
+      }
+    }
+  });
+}
+
+/**
+ * Methods that keep a file system in sync with syncFileSystem()
+ */
+export function exposeFileSystem(fileSystem) {
+  return {
+    writeFile(path, contents) {
+      fileSystem.writeFile(path, contents);
+    },
+
+    restore(snapshot) {
+      fileSystem.restore(snapshot);
+    }
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Workspace Store
+ * Persists the edited workspace to IndexedDB so it survives reloads
+ */
+
+const DB_NAME = "react-wasm-compiler";
+const DB_VERSION = 1;
+const STORE_NAME = "workspace";
+const WORKSPACE_KEY = "current";
+
+/**
+ * Open (and create on first use) the IndexedDB database
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against the workspace object store
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Save the workspace state
+ * @param {Object} state - { files, directories, deleted, openFile, compiler }
+ */
+export async function saveWorkspace(state) {
+  await withStore("readwrite", (store) =>
+    store.put({ ...state, savedAt: Date.now() }, WORKSPACE_KEY)
+  );
+}
+
+/**
+ * Load the saved workspace state
+ * @returns {Object|null} The saved state, or null if nothing was saved
+ */
+export async function loadWorkspace() {
+  const state = await withStore("readonly", (store) =>
+    store.get(WORKSPACE_KEY)
+  );
+  return state || null;
+}
+
+/**
+ * Remove the saved workspace state
+ */
+export async function clearWorkspace() {
+  await withStore("readwrite", (store) => store.delete(WORKSPACE_KEY));
+}